@@ -22,7 +22,8 @@ function loadCalculatorAPI() {
 	 * The list of type support is user-defined : some may use only integer, some may use different date format, ...
 	 *
 	 * @param {String} name - an internal name for the type support, to keep track of the input value (is the integer in decimal or octal format ?)
-	 * @param {Function} parse - a method receiving a token and returning either the corresponding value (if supported) or undefined (if unknown)
+	 * @param {Function} parse - a method receiving a token and returning either the corresponding value (if supported) or undefined (if unknown),
+	 *                           or throwing a CalculatorError (positioned by the parser) if the token is supported but invalid
 	 * @param {Function} format - a method receiving a supported value (or null), and returning the corresponding token
 	 */
 	function CalculatorType(name, parse, format) {
@@ -31,6 +32,640 @@ function loadCalculatorAPI() {
 		this.format = format;
 	}
 
+	/**
+	 * An arbitrary-precision decimal number, used by the optional "decimal" type (see Calculator.addDecimalType)
+	 * to calculate exactly with decimal values (0.1 + 0.2 gives 0.3). The value is "coefficient × 10^exponent".
+	 * Instances are immutable : operations return new instances.
+	 *
+	 * NB: BigInt must be supported by the browser (it is not the case of IE)
+	 *
+	 * @param {BigInt} coefficient - the integer coefficient, including the sign
+	 * @param {Number} exponent - the power of 10 applied to the coefficient
+	 */
+	function CalculatorDecimal(coefficient, exponent) {
+		this.coefficient = coefficient;
+		this.exponent = exponent;
+	}
+
+	/** The rounding modes supported by CalculatorDecimal.round and CalculatorDecimal.divide */
+	CalculatorDecimal.roundings = ['half-even', 'half-up', 'half-down', 'up', 'down', 'ceiling', 'floor'];
+
+	/** @returns the CalculatorDecimal for a string like "123.45", "-.5" or "1e-7", or undefined if the string is not a decimal number */
+	CalculatorDecimal.parse = function(text) {
+		var m = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+		if (!m || (m[2] + (m[3] || '')).length === 0)
+			return undefined;
+		var coefficient = BigInt(m[2] + (m[3] || ''));
+		return new CalculatorDecimal(m[1] === '-' ? -coefficient : coefficient, (m[4] ? parseInt(m[4], 10) : 0) - (m[3] || '').length);
+	};
+
+	/** @returns the CalculatorDecimal for a finite number, using its shortest representation (0.1 gives 0.1, not 0.1000000000000000055511151231257827) */
+	CalculatorDecimal.fromNumber = function(value) {
+		return CalculatorDecimal.parse(value.toString());
+	};
+
+	/** @returns the BigInt 10^n */
+	function decimalPow10(n) {
+		return BigInt('1' + new Array(n + 1).join('0'));
+	}
+
+	/** @returns the number of digits of the positive BigInt "c" */
+	function decimalDigits(c) {
+		return c.toString().length;
+	}
+
+	/**
+	 * Rounds the positive quotient "q" of a division by "d", knowing the positive remainder "r" and the sign of the result.
+	 * The "sticky" parameter indicates that a non-zero part was already dropped after "r", which matters for "half" cases.
+	 */
+	function decimalRoundQuotient(q, r, d, negative, rounding, sticky) {
+		var inexact = r !== BigInt(0) || sticky;
+		var twice = r * BigInt(2);
+		var half = (twice === d) ? (sticky ? 1 : 0) : (twice > d ? 1 : -1);
+		var increment;
+		switch (rounding) {
+			case 'up': increment = inexact; break;
+			case 'down': increment = false; break;
+			case 'ceiling': increment = inexact && !negative; break;
+			case 'floor': increment = inexact && negative; break;
+			case 'half-up': increment = half >= 0 && inexact; break;
+			case 'half-down': increment = half > 0; break;
+			default: increment = half > 0 || (half === 0 && q % BigInt(2) === BigInt(1)); // 'half-even'
+		}
+		return increment ? q + BigInt(1) : q;
+	}
+
+	/** @returns the decimal "±c × 10^exponent" (with "c" positive) rounded to "precision" significant digits using "rounding" mode */
+	function decimalRound(negative, c, exponent, precision, rounding, sticky) {
+		var k = decimalDigits(c) - precision;
+		if (k > 0) {
+			var d = decimalPow10(k);
+			c = decimalRoundQuotient(c / d, c % d, d, negative, rounding, sticky);
+			exponent += k;
+		}
+		return new CalculatorDecimal(negative ? -c : c, exponent);
+	}
+
+	/** @returns this decimal rounded to "precision" significant digits, using "rounding" mode (see CalculatorDecimal.roundings) */
+	CalculatorDecimal.prototype.round = function(precision, rounding) {
+		var negative = this.coefficient < BigInt(0);
+		return decimalRound(negative, negative ? -this.coefficient : this.coefficient, this.exponent, precision, rounding, false);
+	};
+
+	/** @returns this decimal without the trailing zeros of the coefficient, keeping an exponent lower or equal to "maxExponent" */
+	CalculatorDecimal.prototype.strip = function(maxExponent) {
+		var c = this.coefficient, e = this.exponent, ten = BigInt(10);
+		while (e < maxExponent && c !== BigInt(0) && c % ten === BigInt(0)) {
+			c = c / ten;
+			e++;
+		}
+		return new CalculatorDecimal(c, e);
+	};
+
+	/** @returns the coefficients of this decimal and the "other" decimal, aligned to the same exponent */
+	CalculatorDecimal.prototype.align = function(other) {
+		var e = Math.min(this.exponent, other.exponent);
+		return [this.coefficient * decimalPow10(this.exponent - e), other.coefficient * decimalPow10(other.exponent - e), e];
+	};
+
+	/** @returns true if this decimal is 0 */
+	CalculatorDecimal.prototype.isZero = function() {
+		return this.coefficient === BigInt(0);
+	};
+
+	/** @returns true if this decimal has no fractional part */
+	CalculatorDecimal.prototype.isInteger = function() {
+		return this.exponent >= 0 || this.coefficient % decimalPow10(-this.exponent) === BigInt(0);
+	};
+
+	/** @returns -1, 0 or 1 if this decimal is lower, equal or greater than the "other" decimal */
+	CalculatorDecimal.prototype.compare = function(other) {
+		var a = this.align(other);
+		return a[0] < a[1] ? -1 : a[0] > a[1] ? 1 : 0;
+	};
+
+	/** @returns the opposite of this decimal */
+	CalculatorDecimal.prototype.negate = function() {
+		return new CalculatorDecimal(-this.coefficient, this.exponent);
+	};
+
+	/** @returns the exact sum of this decimal and the "other" decimal */
+	CalculatorDecimal.prototype.add = function(other) {
+		var a = this.align(other);
+		return new CalculatorDecimal(a[0] + a[1], a[2]);
+	};
+
+	/** @returns the exact difference of this decimal and the "other" decimal */
+	CalculatorDecimal.prototype.subtract = function(other) {
+		return this.add(other.negate());
+	};
+
+	/** @returns the exact product of this decimal and the "other" decimal */
+	CalculatorDecimal.prototype.multiply = function(other) {
+		return new CalculatorDecimal(this.coefficient * other.coefficient, this.exponent + other.exponent);
+	};
+
+	/** @returns the quotient of this decimal by the "other" non-zero decimal, rounded to "precision" significant digits using "rounding" mode */
+	CalculatorDecimal.prototype.divide = function(other, precision, rounding) {
+		var zero = BigInt(0);
+		var negative = (this.coefficient < zero) !== (other.coefficient < zero);
+		var a = this.coefficient < zero ? -this.coefficient : this.coefficient;
+		var b = other.coefficient < zero ? -other.coefficient : other.coefficient;
+		// Scale the dividend to get at least "precision + 1" digits in the quotient
+		var shift = Math.max(0, precision + decimalDigits(b) - decimalDigits(a) + 1);
+		var n = a * decimalPow10(shift);
+		var r = n % b;
+		var result = decimalRound(negative, n / b, this.exponent - other.exponent - shift, precision, rounding, r !== zero);
+		// Exact quotients are simplified, so that 1 / 4 gives 0.25 and not 0.2500000000000000000000000000000000
+		return (r === zero) ? result.strip(this.exponent - other.exponent) : result;
+	};
+
+	/** @returns the exact remainder of the truncated division of this decimal by the "other" non-zero decimal (like % operator in JavaScript) */
+	CalculatorDecimal.prototype.remainder = function(other) {
+		var a = this.align(other);
+		return new CalculatorDecimal(a[0] % a[1], a[2]);
+	};
+
+	/** @returns this decimal raised to the integer power "n", rounded to "precision" significant digits using "rounding" mode */
+	CalculatorDecimal.prototype.pow = function(n, precision, rounding) {
+		var one = new CalculatorDecimal(BigInt(1), 0), result = one, base = this, m = Math.abs(n);
+		while (m > 0) {
+			if (m % 2 === 1)
+				result = result.multiply(base).round(precision + 2, rounding);
+			base = base.multiply(base).round(precision + 2, rounding);
+			m = Math.floor(m / 2);
+		}
+		return (n < 0) ? one.divide(result, precision, rounding) : result.round(precision, rounding);
+	};
+
+	/** @returns the plain notation of this decimal, like "-123.45", also used when converted to a number (Math functions for instance) */
+	CalculatorDecimal.prototype.toString = function() {
+		var negative = this.coefficient < BigInt(0);
+		var digits = (negative ? -this.coefficient : this.coefficient).toString();
+		if (this.exponent >= 0)
+			return (negative ? '-' : '') + digits + new Array(this.exponent + 1).join('0');
+		var scale = -this.exponent;
+		if (digits.length <= scale)
+			digits = new Array(scale - digits.length + 2).join('0') + digits;
+		return (negative ? '-' : '') + digits.substring(0, digits.length - scale) + '.' + digits.substring(digits.length - scale);
+	};
+
+	/**
+	 * A complex number, used by the optional "complex" type (see Calculator.addComplexType), like "3 + 4i".
+	 * Instances are immutable : operations return new instances.
+	 *
+	 * @param {Number} re - the real part
+	 * @param {Number} im - the imaginary part
+	 */
+	function CalculatorComplex(re, im) {
+		this.re = re;
+		this.im = im;
+	}
+
+	/** @returns the complex number with modulus "r" and argument "theta" */
+	CalculatorComplex.fromPolar = function(r, theta) {
+		return new CalculatorComplex(r * Math.cos(theta), r * Math.sin(theta));
+	};
+
+	/** @returns the modulus of this complex number */
+	CalculatorComplex.prototype.abs = function() {
+		return Math.hypot(this.re, this.im);
+	};
+
+	/** @returns the argument of this complex number, in ]-π, π] */
+	CalculatorComplex.prototype.arg = function() {
+		return Math.atan2(this.im, this.re);
+	};
+
+	/** @returns the conjugate of this complex number */
+	CalculatorComplex.prototype.conj = function() {
+		return new CalculatorComplex(this.re, -this.im);
+	};
+
+	/** @returns the opposite of this complex number */
+	CalculatorComplex.prototype.negate = function() {
+		return new CalculatorComplex(-this.re, -this.im);
+	};
+
+	/** @returns true if this complex number equals the "other" complex number */
+	CalculatorComplex.prototype.equals = function(other) {
+		return this.re === other.re && this.im === other.im;
+	};
+
+	/** @returns the sum of this complex number and the "other" complex number */
+	CalculatorComplex.prototype.add = function(other) {
+		return new CalculatorComplex(this.re + other.re, this.im + other.im);
+	};
+
+	/** @returns the difference of this complex number and the "other" complex number */
+	CalculatorComplex.prototype.subtract = function(other) {
+		return new CalculatorComplex(this.re - other.re, this.im - other.im);
+	};
+
+	/** @returns the product of this complex number and the "other" complex number */
+	CalculatorComplex.prototype.multiply = function(other) {
+		return new CalculatorComplex(this.re * other.re - this.im * other.im, this.re * other.im + this.im * other.re);
+	};
+
+	/** @returns the quotient of this complex number by the "other" non-zero complex number */
+	CalculatorComplex.prototype.divide = function(other) {
+		var d = other.re * other.re + other.im * other.im;
+		return new CalculatorComplex((this.re * other.re + this.im * other.im) / d, (this.im * other.re - this.re * other.im) / d);
+	};
+
+	/** @returns e raised to the power of this complex number */
+	CalculatorComplex.prototype.exp = function() {
+		return CalculatorComplex.fromPolar(Math.exp(this.re), this.im);
+	};
+
+	/** @returns the principal value of the natural logarithm of this complex number */
+	CalculatorComplex.prototype.log = function() {
+		return new CalculatorComplex(Math.log(this.abs()), this.arg());
+	};
+
+	/** @returns the principal square root of this complex number, so that sqrt(-1) gives i */
+	CalculatorComplex.prototype.sqrt = function() {
+		var r = this.abs();
+		return new CalculatorComplex(Math.sqrt((r + this.re) / 2), (this.im < 0 ? -1 : 1) * Math.sqrt((r - this.re) / 2));
+	};
+
+	/** @returns this complex number raised to the power of the "other" complex number (exact for small integer powers, like i ** 2) */
+	CalculatorComplex.prototype.pow = function(other) {
+		var n = other.re, result = new CalculatorComplex(1, 0), base = this;
+		if (other.im === 0 && Math.floor(n) === n && Math.abs(n) <= 64) {
+			for (var m = Math.abs(n); m > 0; m = Math.floor(m / 2)) {
+				if (m % 2 === 1)
+					result = result.multiply(base);
+				base = base.multiply(base);
+			}
+			return (n < 0) ? new CalculatorComplex(1, 0).divide(result) : result;
+		}
+		if (this.re === 0 && this.im === 0)
+			return this;
+		return other.multiply(this.log()).exp();
+	};
+
+	/** @returns the sine of this complex number */
+	CalculatorComplex.prototype.sin = function() {
+		return new CalculatorComplex(Math.sin(this.re) * Math.cosh(this.im), Math.cos(this.re) * Math.sinh(this.im));
+	};
+
+	/** @returns the cosine of this complex number */
+	CalculatorComplex.prototype.cos = function() {
+		return new CalculatorComplex(Math.cos(this.re) * Math.cosh(this.im), -Math.sin(this.re) * Math.sinh(this.im));
+	};
+
+	/** @returns the tangent of this complex number */
+	CalculatorComplex.prototype.tan = function() {
+		return this.sin().divide(this.cos());
+	};
+
+	/** @returns the principal arc sine of this complex number, -i.log(iz + sqrt(1 - z²)) */
+	CalculatorComplex.prototype.asin = function() {
+		var i = new CalculatorComplex(0, 1), one = new CalculatorComplex(1, 0);
+		return i.multiply(this).add(one.subtract(this.multiply(this)).sqrt()).log().multiply(i.negate());
+	};
+
+	/** @returns the principal arc cosine of this complex number, π/2 - asin(z) */
+	CalculatorComplex.prototype.acos = function() {
+		return new CalculatorComplex(Math.PI / 2, 0).subtract(this.asin());
+	};
+
+	/** @returns the principal arc tangent of this complex number, i/2.log((i + z) / (i - z)) */
+	CalculatorComplex.prototype.atan = function() {
+		var i = new CalculatorComplex(0, 1);
+		return i.add(this).divide(i.subtract(this)).log().multiply(new CalculatorComplex(0, 0.5));
+	};
+
+	/** @returns the notation of this complex number, like "3 + 4i", "-i" or "2" */
+	CalculatorComplex.prototype.toString = function() {
+		if (this.im === 0)
+			return this.re.toString();
+		var imaginary = (Math.abs(this.im) === 1 ? '' : Math.abs(this.im).toString()) + 'i';
+		if (this.re === 0)
+			return (this.im < 0 ? '-' : '') + imaginary;
+		return this.re.toString() + (this.im < 0 ? ' - ' : ' + ') + imaginary;
+	};
+
+	/**
+	 * An exact rational number, used by the optional "fraction" type (see Calculator.addFractionType), like "2/3".
+	 * The fraction is always reduced, with a positive denominator. Instances are immutable : operations return new instances.
+	 *
+	 * NB: BigInt must be supported by the browser (it is not the case of IE)
+	 *
+	 * @param {BigInt} numerator - the numerator, including the sign
+	 * @param {BigInt} denominator - the positive denominator
+	 */
+	function CalculatorFraction(numerator, denominator) {
+		this.numerator = numerator;
+		this.denominator = denominator;
+	}
+
+	/** @returns the reduced fraction "numerator / denominator", where "denominator" is a non-zero BigInt */
+	CalculatorFraction.of = function(numerator, denominator) {
+		var zero = BigInt(0);
+		if (denominator < zero) {
+			numerator = -numerator;
+			denominator = -denominator;
+		}
+		var a = numerator < zero ? -numerator : numerator, b = denominator, t;
+		while (b !== zero) {
+			t = a % b;
+			a = b;
+			b = t;
+		}
+		return (a === zero) ? new CalculatorFraction(zero, BigInt(1)) : new CalculatorFraction(numerator / a, denominator / a);
+	};
+
+	/** @returns the fraction for an integer number */
+	CalculatorFraction.fromInteger = function(value) {
+		return new CalculatorFraction(BigInt(value), BigInt(1));
+	};
+
+	/** @returns true if this fraction has a denominator of 1 */
+	CalculatorFraction.prototype.isInteger = function() {
+		return this.denominator === BigInt(1);
+	};
+
+	/** @returns true if this fraction is 0 */
+	CalculatorFraction.prototype.isZero = function() {
+		return this.numerator === BigInt(0);
+	};
+
+	/** @returns the approximate value of this fraction as a number */
+	CalculatorFraction.prototype.toNumber = function() {
+		return Number(this.numerator) / Number(this.denominator);
+	};
+
+	/** @returns -1, 0 or 1 if this fraction is lower, equal or greater than the "other" fraction */
+	CalculatorFraction.prototype.compare = function(other) {
+		var a = this.numerator * other.denominator, b = other.numerator * this.denominator;
+		return a < b ? -1 : a > b ? 1 : 0;
+	};
+
+	/** @returns the opposite of this fraction */
+	CalculatorFraction.prototype.negate = function() {
+		return new CalculatorFraction(-this.numerator, this.denominator);
+	};
+
+	/** @returns the exact sum of this fraction and the "other" fraction */
+	CalculatorFraction.prototype.add = function(other) {
+		return CalculatorFraction.of(this.numerator * other.denominator + other.numerator * this.denominator, this.denominator * other.denominator);
+	};
+
+	/** @returns the exact difference of this fraction and the "other" fraction */
+	CalculatorFraction.prototype.subtract = function(other) {
+		return this.add(other.negate());
+	};
+
+	/** @returns the exact product of this fraction and the "other" fraction */
+	CalculatorFraction.prototype.multiply = function(other) {
+		return CalculatorFraction.of(this.numerator * other.numerator, this.denominator * other.denominator);
+	};
+
+	/** @returns the exact quotient of this fraction by the "other" non-zero fraction */
+	CalculatorFraction.prototype.divide = function(other) {
+		return CalculatorFraction.of(this.numerator * other.denominator, this.denominator * other.numerator);
+	};
+
+	/** @returns the exact remainder of the truncated division of this fraction by the "other" non-zero fraction (like % operator in JavaScript) */
+	CalculatorFraction.prototype.remainder = function(other) {
+		var quotient = this.numerator * other.denominator / (this.denominator * other.numerator);
+		return this.subtract(other.multiply(new CalculatorFraction(quotient, BigInt(1))));
+	};
+
+	/** @returns this fraction raised to the integer power "n" (a non-zero fraction is expected for negative powers) */
+	CalculatorFraction.prototype.pow = function(n) {
+		var numerator = BigInt(1), denominator = BigInt(1);
+		for (var i = 0; i < Math.abs(n); i++) {
+			numerator *= this.numerator;
+			denominator *= this.denominator;
+		}
+		return (n < 0) ? CalculatorFraction.of(denominator, numerator) : new CalculatorFraction(numerator, denominator);
+	};
+
+	/** @returns the notation of this fraction, like "2/3", "-1/2" or "5" */
+	CalculatorFraction.prototype.toString = function() {
+		return this.numerator.toString() + (this.isInteger() ? '' : '/' + this.denominator.toString());
+	};
+
+	/**
+	 * A unit of measurement, used by the optional "quantity" type (see Calculator.addQuantityType), like "km" or "kg*m/s²".
+	 * A unit is described by its dimension, the exponents of the base units (like { m: 1, s: -2 } for an acceleration),
+	 * and by the factor (and offset for temperatures) giving the value in base units. Instances are immutable.
+	 *
+	 * @param {Map} symbols - the map from symbol to exponent, used to format the unit (like { km: 1, h: -1 } for "km/h")
+	 * @param {Number} factor - the factor to convert a value in this unit to a value in base units
+	 * @param {Map} dimension - the map from base unit to exponent (like { m: 1, s: -1 } for "km/h")
+	 * @param {Number} offset - the optional offset added after conversion to base units (like 273.15 for "°C"), for simple units only
+	 */
+	function CalculatorUnit(symbols, factor, dimension, offset) {
+		this.symbols = symbols;
+		this.factor = factor;
+		this.dimension = dimension;
+		this.offset = offset || 0;
+	}
+
+	/** @returns a new map adding "n" times the exponents of "b" to the exponents of "a", without zero exponents */
+	function unitExponents(a, b, n) {
+		var result = {}, key;
+		for (key in a) {
+			result[key] = a[key];
+		}
+		for (key in b) {
+			result[key] = (result[key] || 0) + n * b[key];
+			if (result[key] === 0)
+				delete result[key];
+		}
+		return result;
+	}
+
+	/** @returns true if this unit has the same dimension than the "other" unit, meaning that the values can be added or compared */
+	CalculatorUnit.prototype.isCompatible = function(other) {
+		var a = unitExponents(this.dimension, other.dimension, -1);
+		return Object.keys(a).length === 0;
+	};
+
+	/** @returns true if this unit has no dimension, like "km/m" */
+	CalculatorUnit.prototype.isDimensionless = function() {
+		return Object.keys(this.dimension).length === 0;
+	};
+
+	/** @returns the product of this unit and the "other" unit, like "kg*m" */
+	CalculatorUnit.prototype.multiply = function(other) {
+		return new CalculatorUnit(unitExponents(this.symbols, other.symbols, 1), this.factor * other.factor, unitExponents(this.dimension, other.dimension, 1));
+	};
+
+	/** @returns the quotient of this unit by the "other" unit, like "km/h" */
+	CalculatorUnit.prototype.divide = function(other) {
+		return new CalculatorUnit(unitExponents(this.symbols, other.symbols, -1), this.factor / other.factor, unitExponents(this.dimension, other.dimension, -1));
+	};
+
+	/** @returns this unit raised to the integer power "n", like "m²" */
+	CalculatorUnit.prototype.pow = function(n) {
+		return new CalculatorUnit(unitExponents({}, this.symbols, n), Math.pow(this.factor, n), unitExponents({}, this.dimension, n));
+	};
+
+	/** @returns the notation of this unit, like "km", "m²" or "kg*m/s²", that can be parsed back */
+	CalculatorUnit.prototype.toString = function() {
+		var numerator = [], denominator = [];
+		for (var symbol in this.symbols) {
+			var n = Math.abs(this.symbols[symbol]);
+			(this.symbols[symbol] > 0 ? numerator : denominator).push(symbol + (n === 1 ? '' : n === 2 ? '²' : n === 3 ? '³' : '**' + n));
+		}
+		var s = numerator.length > 0 ? numerator.join('*') : '1';
+		if (denominator.length > 0)
+			s += '/' + (denominator.length > 1 ? '(' + denominator.join('*') + ')' : denominator[0]);
+		return s;
+	};
+
+	/**
+	 * A physical quantity, used by the optional "quantity" type (see Calculator.addQuantityType), like "5 km". Instances are immutable.
+	 *
+	 * @param {Number} value - the value, in "unit"
+	 * @param {CalculatorUnit} unit - the unit of the value
+	 */
+	function CalculatorQuantity(value, unit) {
+		this.value = value;
+		this.unit = unit;
+	}
+
+	/** @returns the value of this quantity in base units (like 5000 for "5 km") */
+	CalculatorQuantity.prototype.toBase = function() {
+		return this.value * this.unit.factor + this.unit.offset;
+	};
+
+	/** @returns this quantity converted to the compatible "unit" (like "5000 m" for "5 km" to "m") */
+	CalculatorQuantity.prototype.to = function(unit) {
+		return new CalculatorQuantity((this.toBase() - unit.offset) / unit.factor, unit);
+	};
+
+	/** @returns true if this quantity is 0, like "0 km" */
+	CalculatorQuantity.prototype.isZero = function() {
+		return this.value === 0;
+	};
+
+	/** @returns the notation of this quantity, like "5.3 km" */
+	CalculatorQuantity.prototype.toString = function() {
+		return this.value.toString() + ' ' + this.unit.toString();
+	};
+
+	/**
+	 * A duration, used by the "duration" type (see Calculator.addDefaultTypes), like "3d", "2h30m" or "P1M".
+	 * Months are kept apart from days because their length depends on the date they are added to. Instances are immutable.
+	 *
+	 * @param {Number} months - the number of months (including years)
+	 * @param {Number} days - the number of days (including weeks)
+	 * @param {Number} seconds - the number of seconds (including hours and minutes)
+	 */
+	function CalculatorDuration(months, days, seconds) {
+		this.months = months;
+		this.days = days;
+		this.seconds = seconds;
+	}
+
+	/** @returns the CalculatorDuration for a string like "3d", "1w2d", "2h30m", "45s" or ISO-8601 "P1Y2M3DT4H5M6S", or undefined otherwise */
+	CalculatorDuration.parse = function(text) {
+		function n(s) {
+			return s ? parseFloat(s) : 0;
+		}
+		var m = /^(?:(\d+)w)?(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/.exec(text);
+		if (m && text.length > 0)
+			return new CalculatorDuration(0, n(m[1]) * 7 + n(m[2]), n(m[3]) * 3600 + n(m[4]) * 60 + n(m[5]));
+		m = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(text);
+		if (m && text !== 'P' && text[text.length - 1] !== 'T')
+			return new CalculatorDuration(n(m[1]) * 12 + n(m[2]), n(m[3]) * 7 + n(m[4]), n(m[5]) * 3600 + n(m[6]) * 60 + n(m[7]));
+		return undefined;
+	};
+
+	/** @returns the duration between two times in milliseconds, as days and seconds */
+	CalculatorDuration.between = function(start, end) {
+		var days = (end - start) / 86400000, wholeDays = days < 0 ? Math.ceil(days) : Math.floor(days);
+		return new CalculatorDuration(0, wholeDays, Math.round((end - start - wholeDays * 86400000) / 1000));
+	};
+
+	/** @returns true if this duration has a part smaller than one day */
+	CalculatorDuration.prototype.hasTime = function() {
+		return this.seconds !== 0;
+	};
+
+	/** @returns the opposite of this duration */
+	CalculatorDuration.prototype.negate = function() {
+		return this.multiply(-1);
+	};
+
+	/** @returns the sum of this duration and the "other" duration */
+	CalculatorDuration.prototype.add = function(other) {
+		return new CalculatorDuration(this.months + other.months, this.days + other.days, this.seconds + other.seconds);
+	};
+
+	/** @returns this duration multiplied by the number "n" */
+	CalculatorDuration.prototype.multiply = function(n) {
+		return new CalculatorDuration(this.months * n, this.days * n, this.seconds * n);
+	};
+
+	/** @returns a negative number, zero or a positive number if this duration is shorter, equal or longer than the "other" duration, where a month is 30.436875 days on average */
+	CalculatorDuration.prototype.compare = function(other) {
+		var a = (this.months * 30.436875 + this.days) * 86400 + this.seconds, b = (other.months * 30.436875 + other.days) * 86400 + other.seconds;
+		return a < b ? -1 : a > b ? 1 : 0;
+	};
+
+	/** @returns the time in milliseconds "time" moved by this duration, adding months like spreadsheets (January 31st + 1 month is February 28th) */
+	CalculatorDuration.prototype.addTo = function(time) {
+		if (this.months !== 0) {
+			var d = new Date(time), month = d.getUTCMonth() + this.months;
+			var lastDay = new Date(Date.UTC(d.getUTCFullYear(), month + 1, 0)).getUTCDate();
+			time = Date.UTC(d.getUTCFullYear(), month, Math.min(d.getUTCDate(), lastDay), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds());
+		}
+		return time + this.days * 86400000 + this.seconds * 1000;
+	};
+
+	/** @returns the notation of this duration, like "3d", "2h30m", "0s" or "P1M3D" if it contains months */
+	CalculatorDuration.prototype.toString = function() {
+		var days = this.days, seconds = this.seconds;
+		// Fractional days (like 3d / 2) and days and seconds of opposite signs (like 1d - 3h) are carried over, so that the notation can be parsed back
+		if (Math.floor(days) !== days || days * seconds < 0) {
+			seconds += days * 86400;
+			days = seconds < 0 ? Math.ceil(seconds / 86400) : Math.floor(seconds / 86400);
+			seconds -= days * 86400;
+		}
+		// Seconds are rounded to milliseconds
+		seconds = Math.round(seconds * 1000) / 1000;
+		if (this.months <= 0 && days <= 0 && seconds <= 0 && (this.months < 0 || days < 0 || seconds < 0))
+			return '-' + new CalculatorDuration(-this.months, -days, -seconds).toString();
+		var hours = Math.floor(seconds / 3600), minutes = Math.floor(seconds % 3600 / 60);
+		seconds = Math.round(seconds % 60 * 1000) / 1000;
+		function part(value, unit) {
+			return value ? value + unit : '';
+		}
+		if (this.months !== 0) {
+			var time = part(hours, 'H') + part(minutes, 'M') + part(seconds, 'S');
+			return 'P' + part(Math.floor(this.months / 12), 'Y') + part(this.months % 12, 'M') + part(days, 'D') + (time ? 'T' + time : '');
+		}
+		return (part(days, 'd') + part(hours, 'h') + part(minutes, 'm') + part(seconds, 's')) || '0s';
+	};
+
+	/** @returns the time in milliseconds of a date, time or datetime value (like { year: 2018, month: 3, date: 13 }), handled as UTC */
+	function dateValueToTime(value) {
+		return Date.UTC(value.year === undefined ? 1970 : value.year, value.month || 0, value.date === undefined ? 1 : value.date, value.hour || 0, value.minute || 0, value.second || 0);
+	}
+
+	/** @returns the date, time or datetime value for a time in milliseconds (see "dateValueToTime") */
+	function dateValueFromTime(time, hasDate, hasTime) {
+		var d = new Date(time), r = {};
+		if (hasDate) {
+			r.year = d.getUTCFullYear();
+			r.month = d.getUTCMonth();
+			r.date = d.getUTCDate();
+		}
+		if (hasTime) {
+			r.hour = d.getUTCHours();
+			r.minute = d.getUTCMinutes();
+			r.second = d.getUTCSeconds();
+		}
+		return r;
+	}
+
 	/**
 	 * A literal is a token, associated with constants (like "pi" or "e") or variables (like "mem").
 	 *
@@ -46,6 +681,11 @@ function loadCalculatorAPI() {
 	 *    function(context, newValue) { context.mem = newValue; }
 	 * );
 	 *
+	 * Example for a free "x" variable, kept unresolved during reduction unless a value is given in the context :
+	 * calculator.declareVariable('x');
+	 *
+	 * @member {Boolean} notResolved - true if the literal is not reduced, unless a literal with the same token is found in the context
+	 *
 	 * @param {String} token - the token, as seen in formula
 	 * @param {CalculatorType} type - the type of the value returned by this literal ('null', 'boolean', 'string', 'float', ...)
 	 * @param {Function(context)=>value} getValueOrValue - the function returning the literal value (or the value itself)
@@ -98,6 +738,12 @@ function loadCalculatorAPI() {
 	 *     .fail(function(error) { reject(error); });
 	 * })
 	 *
+	 * A function can also be defined in a formula, like "f(x, y) = x² + y²" (see "userFunctionReduce" and the "=" operator).
+	 *
+	 * @member {Function} calculate - the optional "calculate" function, used by the default "reduce" implementation
+	 * @member {Array} overloads - the "calculate" functions used instead for some types (see CalculatorFunction.overload)
+	 * @member {Object} signature - the optional typed signature { result, params, varargs }, checked by Calculator.check (see CalculatorFunction.typed)
+	 *
 	 * @param {String} token - the token, as seen in formula
 	 * @param {String} params - an optional description of parameters (not used directly in parser)
 	 * @param {Function} reduce - the function, used to reduce to a single value, if possible, or to a reduced function expression otherwise
@@ -106,9 +752,67 @@ function loadCalculatorAPI() {
 	function CalculatorFunction(token, params, reduce, calculate) {
 		this.token = token;
 		this.params = params;
+		this.calculate = calculate;
+		this.overloads = [];
 		this.reduce = reduce || defaultFunctionReduce(calculate);
 	}
 
+	/**
+	 * Helper method to use another "calculate" method when "accept" returns true for the reduced params, with signature accept(context, params...).
+	 * This is used by optional types (decimals for instance) to provide their own implementation of existing functions and operators.
+	 * The last added overload is checked first and the original "calculate" is used if no overload accepts the params.
+	 * NB: overloads are only used by the default "reduce" implementations, based on a "calculate" method
+	 */
+	CalculatorFunction.prototype.overload = function(accept, calculate) {
+		this.overloads.unshift({ accept: accept, calculate: calculate });
+		return this;
+	};
+
+	/**
+	 * Helper method to declare the typed signature, used by Calculator.check to report invalid parameters before any reduction.
+	 * Each parameter accepts a type name (like 'string'), a group of types (like 'number', see Calculator.addTypeGroup), 'array', 'function' (for lambdas)
+	 * or 'any', possibly several of them separated by "|" (like 'number|array') and followed by "?" if the parameter is optional (like 'number?').
+	 *
+	 * Example for "substr(text, start, length)" : substr.typed('string', ['string', 'number', 'number?'])
+	 * Example for "min(x1, x2*)" : min.typed('number', ['number|array'], true)
+	 *
+	 * @param {String} result - the type of the result, in the same format, or undefined if it depends on the parameters
+	 * @param {Array} params - the types accepted by each parameter
+	 * @param {Boolean} varargs - true if the last parameter can be repeated
+	 */
+	CalculatorFunction.prototype.typed = function(result, params, varargs) {
+		this.signature = { result: result, params: params, varargs: !!varargs };
+		return this;
+	};
+
+	/**
+	 * Returns the "calculate" method of "source" for the reduced "params", or undefined if "params" can not be calculated :
+	 * - if "params" are values, the first overload accepting "params", or "calculate" otherwise
+	 * - if "params" are values or arrays of values (like "[1, 2] + [3, 4]"), the first overload accepting "params", or undefined otherwise
+	 */
+	function reducedCalculate(source, calculate, context, params) {
+		if (params.every(function(p) { return p.isValue(); }))
+			return overloadedCalculate(source, calculate, context, params);
+		if (params.every(function(p) { return p.isValue() || p.isArrayValue(); }))
+			return overloadedCalculate(source, undefined, context, params);
+		return undefined;
+	}
+
+	/** Overload "accept" method for params that are numbers or arrays of numbers, with at least one array (like "sum([1, 2])" or "[1, 2] * 3") */
+	function acceptArrayValues(context) {
+		var values = Array.prototype.slice.call(arguments, 1).map(function(p) { return p.getValue(context); });
+		return values.some(Array.isArray) && values.every(function(v) { return Array.isArray(v) || typeof v === 'number'; });
+	}
+
+	/** Returns the "calculate" method of the first overload of "source" (a function or an operator) accepting "params", or "calculate" otherwise */
+	function overloadedCalculate(source, calculate, context, params) {
+		for (var i = 0; i < source.overloads.length; i++) {
+			if (source.overloads[i].accept.apply(source, [context].concat(params)))
+				return source.overloads[i].calculate;
+		}
+		return calculate;
+	}
+
 	/**
 	 * Default reduce implementation using a "calculate" function working on reduced values.
 	 * It is not optimal because all params are reduced, even if the resulting value is not used (see "if" function for instance).
@@ -119,20 +823,66 @@ function loadCalculatorAPI() {
 			var self = this;
 			var params = Array.prototype.slice.apply(arguments, [3]);
 			context.reduceAll(params, function(results) {
-				if (results.filter(function(r) { return !r.isValue(); }).length === 0)
-					calculate.apply(null, [context, resolve, reject].concat(results));
+				var c = reducedCalculate(self, calculate, context, results);
+				if (c)
+					c.apply(null, [context, resolve, reject].concat(results));
 				else
 					resolve(CalculatorTree.newFunction(self, results, undefined));
 			}, reject);
 		};
 	}
 
+	/**
+	 * Reduce implementation of a function defined in a formula, like "f(x, y) = x² + y²".
+	 * All params are reduced and bound to the "parameters" literals in a child context, where the "body" is then reduced.
+	 * If any params can not be reduced to a single value, the function resolves to a simplified expression of the same function.
+	 */
+	function userFunctionReduce(parameters, body) {
+		return function(context, resolve, reject) {
+			var self = this;
+			var params = Array.prototype.slice.apply(arguments, [3]);
+			if (params.length !== parameters.length) {
+				reject(new CalculatorError(undefined, undefined, 0, 'Invalid parameter count for function "%0"', [self.token]));
+				return;
+			}
+			context.reduceAll(params, function(results) {
+				if (results.filter(function(r) { return !r.isValue() && !r.isArrayValue(); }).length > 0) {
+					resolve(CalculatorTree.newFunction(self, results, undefined));
+					return;
+				}
+				var child = context.newChild();
+				parameters.forEach(function(parameter, index) {
+					// Values are bound as values and arrays (like "f([1, 2], 3)") as trees
+					child.addLiteral(parameter.token, results[index].getType(), results[index].isValue() ? results[index].getValue(context) : results[index]);
+				});
+				child.reduce(body, resolve, reject);
+			}, reject);
+		};
+	}
+
+	/** @returns the "reduce" method of a variable called like a function, calling the lambda value of the "literal" tree with the params, like "sq(3)" after "sq = x => x²" */
+	function lambdaCallReduce(literal) {
+		return function(context, resolve, reject) {
+			var self = this;
+			context.reduceAll([literal].concat(Array.prototype.slice.apply(arguments, [3])), function(results) {
+				var lambda = results[0], args = results.slice(1);
+				if (lambda.kind === 'lambda')
+					context.call(lambda, args, resolve, reject);
+				else if (lambda.isValue() || lambda.isArrayValue())
+					reject(new CalculatorError(undefined, undefined, 0, 'Function expected but found "%0"', [context.calculator.format(lambda)]));
+				else
+					resolve(CalculatorTree.newFunction(self, args, self.token));
+			}, reject);
+		};
+	}
+
 	/**
 	 * An operator is a token used to transforme a value (unary) or to combine two values (binary) :
 	 * - ! (logical not) is a prefix unary operator (i.e. !true === false)
 	 * - ² (square) is a postfix unary operator (i.e. 2² === 4)
 	 * - - (subtract) is usually a binary left-associative operator (i.e. 3-2-1 === (3-2)-1) but is also an unary operator
 	 * - ** (exponentiation) is a binary right-associative operator (i.e. 2^2^3 === 2^(2^3))
+	 * - ? : (conditional) is a ternary operator (i.e. test ? a : b), where "separator" is the second token ":"
 	 *
 	 * Example for the "subtraction" binary operator providing the "calculate" method :
 	 * new CalculatorOperator("-", 11, 'left', undefined, function(context, resolve, reject, a, b) {
@@ -161,9 +911,14 @@ function loadCalculatorAPI() {
 	 *   }, reject);
 	 * }, undefined)
 	 *
+	 * @member {Function} calculate - the optional "calculate" function, used by the default "reduce" implementation
+	 * @member {Array} overloads - the "calculate" functions used instead for some types (see CalculatorOperator.overload)
+	 * @member {String} separator - the second token of a "ternary" operator, like ":" in "test ? a : b"
+	 * @member {Object} signature - the optional typed signature of the operands (see CalculatorOperator.typed)
+	 *
 	 * @param {String} token - the token, as seen in formula
 	 * @param {Number} precedence - the precedence of the operator (multiplication has greater precedence over addition)
-	 * @param {String} associativity - how to apply operator (can be "left" or "right" for binary operators and "prefix" or "postfix" for unary operators)
+	 * @param {String} associativity - how to apply operator (can be "left" or "right" for binary operators, "prefix" or "postfix" for unary operators and "ternary", with a "reduce" method, for ternary operators)
 	 * @param {Function} reduce - an optimized reduction function with signature reduce(context, resolve, reject, aTree[, bTree])
 	 * @param {Function} calculate - a simplified calculation function, with signature calculate(context, resolve, reject, aValue[, bValue])
 	 */
@@ -171,6 +926,8 @@ function loadCalculatorAPI() {
 		this.token = token;
 		this.precedence = precedence;
 		this.associativity = associativity;
+		this.calculate = calculate;
+		this.overloads = [];
 		if (reduce)
 			this.reduce = reduce;
 		else if (associativity === 'prefix')
@@ -181,6 +938,12 @@ function loadCalculatorAPI() {
 			this.reduce = defaultBinaryOperatorReduce(calculate);
 	}
 
+	/** Helper method to use another "calculate" method when "accept" returns true for the reduced operands (see CalculatorFunction.overload) */
+	CalculatorOperator.prototype.overload = CalculatorFunction.prototype.overload;
+
+	/** Helper method to declare the typed signature of the operands, like "typed('number', ['number', 'number'])" (see CalculatorFunction.typed) */
+	CalculatorOperator.prototype.typed = CalculatorFunction.prototype.typed;
+
 	/**
 	 * Default reduce implementation of a prefix operator using a "calculate" function working on the reduced right-side value.
 	 * Any prefix operator can override this default implementation if needed, even if I can't see any usecase for this.
@@ -190,8 +953,9 @@ function loadCalculatorAPI() {
 		return function(context, resolve, reject, right) {
 			var self = this;
 			context.reduce(right, function(result) {
-				if (result.isValue())
-					calculate(context, resolve, reject, result);
+				var c = reducedCalculate(self, calculate, context, [result]);
+				if (c)
+					c(context, resolve, reject, result);
 				else
 					resolve(CalculatorTree.newPrefix(self, result, undefined));
 			}, reject);
@@ -207,8 +971,9 @@ function loadCalculatorAPI() {
 		return function(context, resolve, reject, left) {
 			var self = this;
 			context.reduce(left, function(result) {
-				if (result.isValue())
-					calculate(context, resolve, reject, result);
+				var c = reducedCalculate(self, calculate, context, [result]);
+				if (c)
+					c(context, resolve, reject, result);
 				else
 					resolve(CalculatorTree.newPostfix(self, result, undefined));
 			}, reject);
@@ -224,8 +989,9 @@ function loadCalculatorAPI() {
 		return function(context, resolve, reject, left, right) {
 			var self = this;
 			context.reduceAll([left, right], function(results) {
-				if (results[0].isValue() && results[1].isValue())
-					calculate(context, resolve, reject, results[0], results[1]);
+				var c = reducedCalculate(self, calculate, context, results);
+				if (c)
+					c(context, resolve, reject, results[0], results[1]);
 				else
 					resolve(CalculatorTree.newBinary(self, results[0], results[1], undefined));
 			}, reject);
@@ -234,19 +1000,24 @@ function loadCalculatorAPI() {
 
 	/**
 	 * A parsing error, providing information about original formula, parsing position and message.
+	 * Runtime errors, rejected by functions and operators, are also positioned on the node of formula that caused them (see CalculatorContext.reduceSource).
+	 *
+	 * @member {CalculatorTree} tree - the function or operator node that rejected this runtime error, if any
 	 *
 	 * @param {String} formula - the formula where error occurred
 	 * @param {Number} index - the position in the formula where error occurred
 	 * @param {Number} length - the optional length of the token where error occurred
 	 * @param {String} message - the error message, that may contain parameters %0, %1, ...
 	 * @param {Array} params - the array of parameters, used to format
+	 * @param {String} severity - either 'error' (the default) or 'warning' for errors recovered by the tolerant parse mode (see Calculator.parseTolerant)
 	 */
-	function CalculatorError(formula, index, length, message, params) {
+	function CalculatorError(formula, index, length, message, params, severity) {
 		this.formula = formula;
 		this.index = index;
 		this.length = length || 0;
 		this.message = message;
 		this.params = params;
+		this.severity = severity || 'error';
 	}
 
 	/** Helper method to write formula to console and highlight the position where error occurred */
@@ -279,20 +1050,37 @@ function loadCalculatorAPI() {
 		return s;
 	};
 
+	/**
+	 * An error thrown in synchronous mode (see Calculator.evaluateSync) when a function or an operator does not resolve
+	 * before returning, like the "convert" function that may need to download money rates.
+	 *
+	 * @param {CalculatorFunction|CalculatorOperator} source - the function or operator that did not resolve synchronously
+	 */
+	function CalculatorAsyncError(source) {
+		this.source = source;
+		this.message = '"%0" can not be evaluated synchronously';
+		this.params = [source.token];
+	}
+
+	/** Get the formatted error message, with the opportunity to translate with the optional "lang" parameter */
+	CalculatorAsyncError.prototype.format = CalculatorError.prototype.format;
+
 	/**
 	 * This class represents the AST of an expression :
 	 * - Calculator.parse transforms a string expression (a.k.a formula) into a CalculatorTree
 	 * - Calculator.format transforms the CalculatorTree into an expression (a.k.a formula)
 	 * - Calculator.reduce can simplify a CalculatorTree, possibly to a single constant
 	 *
-	 * @member {String} kind - either 'constant', 'literal', 'array', 'grouping', 'binary', 'prefix', 'postfix' or 'function'
-	 * @member {String} token - the symbol of an 'operator'/ 'function' or the formula that resulted to this 'constant' / 'literal'
-	 * @member {Calculator*} source - the literal, operator or function definition that resulted to this 'literal', 'binary', 'prefix', 'postfix' or 'function'
+	 * @member {String} kind - either 'constant', 'literal', 'array', 'grouping', 'binary', 'prefix', 'postfix', 'ternary', 'function', 'index', 'slice', 'member', 'lambda' or 'placeholder'
+	 * @member {String} token - the symbol of an 'operator'/ 'function', the name of a 'member' or the formula that resulted to this 'constant' / 'literal' / 'placeholder'
+	 * @member {Calculator*} source - the literal, operator or function definition that resulted to this 'literal', 'binary', 'prefix', 'postfix', 'ternary', 'function' or 'member'
 	 * @member {CalculatorType} type - the type of 'value' (if 'constant') of the expected evaluated value (for other kind of AST)
-	 * @member {*} value - the value of a 'constant'
-	 * @member {Array} params - the sub-elements of an 'array' or 'function'
-	 * @member {CalculatorTree} left - the first sub-element of a 'binary' operator or the single sub-element of a 'grouping' element or 'postfix' operator
-	 * @member {CalculatorTree} right - the second sub-element of a 'binary' operator or the single sub-element of a 'prefix' operator
+	 * @member {*} value - the value of a 'constant' or the CalculatorError of a 'placeholder'
+	 * @member {Array} params - the sub-elements of an 'array', 'function' or 'ternary' operator, the optional bounds of a 'slice' or the parameters (literals) of a 'lambda'
+	 * @member {CalculatorTree} left - the first sub-element of a 'binary' operator, the single sub-element of a 'grouping' element or 'postfix' operator or the array (or string) of an 'index', 'slice' or 'member'
+	 * @member {CalculatorTree} right - the second sub-element of a 'binary' operator, the single sub-element of a 'prefix' operator, the index of an 'index' or the body of a 'lambda'
+	 * @member {Number} start - the position in formula where this parsed element starts, to report errors
+	 * @member {Number} end - the position in formula where this parsed element ends (excluded)
 	 */
 	function CalculatorTree(model) {
 		this.kind = model.kind;
@@ -303,14 +1091,27 @@ function loadCalculatorAPI() {
 		this.params = model.params;
 		this.left = model.left;
 		this.right = model.right;
+		this.start = model.start;
+		this.end = model.end;
 	}
 
 	/** @returns true if the reduces tree is a value, either a constant or a literal with a value */
 	CalculatorTree.prototype.isValue = function() { return this.kind === 'constant' || this.kind === 'literal' && !this.source.notResolved; };
-	/** @returns the value of this reduced tree, either the constant's value or the literal's value in this context */
-	CalculatorTree.prototype.getValue = function(context) { return this.kind === 'constant' ? this.value : this.source.getValue(context); };
-	/** @returns the type of this reduces tree, either the constant's type or the literal's type */
-	CalculatorTree.prototype.getType = function() { return this.kind === 'constant' ? this.type : this.source.type; };
+	/** @returns true if the reduced tree is an array of values or of arrays of values, like "[1, 2]" or "[[1, 2], [3, 4]]" */
+	CalculatorTree.prototype.isArrayValue = function() { return this.kind === 'array' && this.params.every(function(p) { return p.isValue() || p.isArrayValue(); }); };
+	/** @returns the value of this reduced tree, either the constant's value, the literal's value in this context or the array of values */
+	CalculatorTree.prototype.getValue = function(context) {
+		if (this.kind === 'array')
+			return this.params.map(function(p) { return p.getValue(context); });
+		return this.kind === 'constant' ? this.value : this.source.getValue(context);
+	};
+	/** @returns true if the value of this reduced tree is true in conditions, where numbers of optional types (like the decimal "0.0") are false if zero */
+	CalculatorTree.prototype.isTrue = function(context) {
+		var value = this.getValue(context);
+		return (value && typeof value.isZero === 'function') ? !value.isZero() : !!value;
+	};
+	/** @returns the type of this reduces tree, either the constant's type or the literal's type (undefined for arrays and lambdas) */
+	CalculatorTree.prototype.getType = function() { return this.kind === 'constant' ? this.type : (this.kind === 'array' || this.kind === 'lambda') ? undefined : this.source.type; };
 
 	/** @returns a new CalculatorTree representing a constant expression */
 	CalculatorTree.newConstant = function(type, value, token) { return new CalculatorTree({ kind: 'constant', type: type, value: value, token: token }); };
@@ -326,6 +1127,20 @@ function loadCalculatorAPI() {
 	CalculatorTree.newPrefix = function(operator, right, token) { return new CalculatorTree({ kind: 'prefix', source: operator, right: right, token: token }); };
 	/** @returns a new CalculatorTree representing a postfix operation on a single CalculatorTree */
 	CalculatorTree.newPostfix = function(operator, left, token) { return new CalculatorTree({ kind: 'postfix', source: operator, left: left, token: token }); };
+	/** @returns a new CalculatorTree representing an index like "arr[2]" */
+	CalculatorTree.newIndex = function(left, index) { return new CalculatorTree({ kind: 'index', left: left, right: index }); };
+	/** @returns a new CalculatorTree representing a slice like "arr[1:3]", where "from" and "to" are optional */
+	CalculatorTree.newSlice = function(left, from, to) { return new CalculatorTree({ kind: 'slice', left: left, params: [from, to] }); };
+	/** @returns a new CalculatorTree representing a member access like "d.year", calling the function "func" with "left" */
+	CalculatorTree.newMember = function(func, left, token) { return new CalculatorTree({ kind: 'member', source: func, left: left, token: token }); };
+	/** @returns "tree" positioned at the same "start" and "end" positions in formula than "model" (a tree or a token) */
+	CalculatorTree.at = function(tree, model) { tree.start = model.start; tree.end = model.end; return tree; };
+	/** @returns a new CalculatorTree representing a lambda like "x => x²", where "parameters" are unresolved literals bound when called (see CalculatorContext.call) */
+	CalculatorTree.newLambda = function(parameters, body, token) { return new CalculatorTree({ kind: 'lambda', params: parameters.map(function(p) { return CalculatorTree.newLiteral(p, p.token); }), right: body, token: token }); };
+	/** @returns a new CalculatorTree representing a ternary operator like "test ? a : b" */
+	CalculatorTree.newTernary = function(operator, test, a, b, token) { return new CalculatorTree({ kind: 'ternary', source: operator, params: [test, a, b], token: token }); };
+	/** @returns a new CalculatorTree replacing an invalid part "token" of formula, reported by "error", in tolerant parse mode (see Calculator.parseTolerant) */
+	CalculatorTree.newPlaceholder = function(error, token) { return new CalculatorTree({ kind: 'placeholder', value: error, token: token }); };
 	/** @returns a new CalculatorTree representing a function call using an array of CalculatorTree as params */
 	CalculatorTree.newFunction = function(func, params, token) { return new CalculatorTree({ kind: 'function', source: func, params: params, token: token }); };
 
@@ -336,17 +1151,45 @@ function loadCalculatorAPI() {
 	 * - reduce(CalculatorTree, resolve, reject) => CalculatorTree to reduce an AST within this context
 	 * - reduceAll(Array<CalculatorTree>, resolve, reject) => Array<CalculatorTree> to reduce multiple AST within this context
 	 *
-	 * It can also hold context-specific values for literal, like variable's value.
+	 * It can also hold context-specific values for literal, like variable's value or the parameters of a function call.
 	 *
 	 * @member {Calculator} calculator - the calculator this context is linked to
+	 * @member {CalculatorContext} parent - the optional parent context, for instance the caller's context for a function call
+	 * @member {Map} literals - the map from token to context-local literals
+	 * @member {Boolean} synchronous - true if functions and operators have to resolve before returning (see Calculator.evaluateSync)
 	 */
-	function CalculatorContext(calculator) {
-		// not used for now
-		// this.calulator = calculator;
+	function CalculatorContext(calculator, parent) {
+		this.calculator = calculator;
+		this.parent = parent;
+		this.literals = {};
+		this.synchronous = parent ? parent.synchronous : false;
 	}
 
+	/** This method returns a new context, child of this one, to hold local literals like the parameters of a function call */
+	CalculatorContext.prototype.newChild = function() {
+		return new CalculatorContext(this.calculator, this);
+	};
+
+	/** Helper method to add a context-local literal, either (token, type, getValueOrValue, setValueOrEditable) or (CalculatorLiteral). */
+	CalculatorContext.prototype.addLiteral = function(token, type, getValueOrValue, setValueOrEditable) {
+		var entry = (typeof token !== 'string') ? token : new CalculatorLiteral(token, type, getValueOrValue, setValueOrEditable);
+		this.literals[entry.token.toLowerCase()] = entry;
+		return entry;
+	};
+
+	/** This method returns the literal named "token" in this context (or in the parent contexts), or undefined if none is found */
+	CalculatorContext.prototype.findLiteral = function(token) {
+		var tokenLC = token.toLowerCase();
+		for (var context = this; context; context = context.parent) {
+			if (context.literals.hasOwnProperty(tokenLC))
+				return context.literals[tokenLC];
+		}
+		return undefined;
+	};
+
 	/** This method will reduce the "tree" AST within this context and will resolve with the reduced AST or reject if an error occurred */
 	CalculatorContext.prototype.reduce = function(tree, resolve, reject) {
+		var literal;
 		if (typeof tree === 'undefined') {
 			resolve(undefined);
 			return;
@@ -357,10 +1200,14 @@ function loadCalculatorAPI() {
 				resolve(tree);
 				break;
 			case 'literal': // pi, mem, ...
-				if (tree.source.notResolved)
+				// An unresolved literal (like a function parameter) may be bound to a context-local literal
+				literal = tree.source.notResolved ? (this.findLiteral(tree.source.token) || tree.source) : tree.source;
+				if (literal.notResolved)
 					resolve(tree);
+				else if (literal.getValue(this) instanceof CalculatorTree) // an array variable, like "v" after "v = [1, 2]"
+					resolve(literal.getValue(this));
 				else
-					resolve(CalculatorTree.newConstant(tree.source.type, tree.source.getValue(this), undefined));
+					resolve(CalculatorTree.newConstant(literal.type, literal.getValue(this), undefined));
 				break;
 			case 'array': // [ params ]
 				this.reduceAll(tree.params, function(results) {
@@ -376,22 +1223,184 @@ function loadCalculatorAPI() {
 				}, reject);
 				break;
 			case 'binary': // left token right
-				tree.source.reduce(this, resolve, reject, tree.left, tree.right);
+				this.reduceSource(tree, resolve, reject, [tree.left, tree.right]);
 				break;
 			case 'prefix': // token right
-				tree.source.reduce(this, resolve, reject, tree.right);
+				this.reduceSource(tree, resolve, reject, [tree.right]);
 				break;
 			case 'postfix': // left token
-				tree.source.reduce(this, resolve, reject, tree.left);
+				this.reduceSource(tree, resolve, reject, [tree.left]);
+				break;
+			case 'ternary': // test token a separator b
+				this.reduceSource(tree, resolve, reject, tree.params);
+				break;
+			case 'index': // left [ right ]
+				this.reduceIndex(tree, resolve, reject);
+				break;
+			case 'slice': // left [ from : to ]
+				this.reduceSlice(tree, resolve, reject);
+				break;
+			case 'member': // left . token, calling the function "token" with "left"
+				this.reduceMember(tree, resolve, reject);
+				break;
+			case 'lambda': // params => right, reduced when called (see "call")
+				resolve(tree);
+				break;
+			case 'placeholder': // an invalid part of formula, parsed in tolerant mode
+				reject(tree.value);
 				break;
 			case 'function': // token ( params )
-				tree.source.reduce.apply(tree.source, [this, resolve, reject].concat(tree.params));
+				this.reduceSource(tree, resolve, reject, tree.params);
 				break;
 			default:
 				reject(new Error('Invalid tree node kind ' + tree.kind, tree));
 		}
 	};
 
+	/**
+	 * This method calls "reduce" on the operator or function of "tree" and, in synchronous mode, throws a CalculatorAsyncError if it did not resolve.
+	 * Rejected CalculatorErrors are positioned on "tree", unless already positioned by a sub-element, and NaN or Infinity results are
+	 * rejected too if the calculator is strict (see Calculator.strict).
+	 */
+	CalculatorContext.prototype.reduceSource = function(tree, resolve, reject, params) {
+		var settled = false, context = this;
+		tree.source.reduce.apply(tree.source, [this, function(result) {
+			settled = true;
+			var value = context.calculator.strict ? nonFinite(result) : undefined;
+			if (value !== undefined)
+				reject(positioned(new CalculatorError(undefined, undefined, 0, isNaN(value) ? 'Undefined result for "%0"' : 'Infinite result for "%0"', [context.calculator.format(tree)]), tree));
+			else
+				resolve(result);
+		}, function(error) {
+			settled = true;
+			reject(positioned(error, tree));
+		}].concat(params));
+		if (!settled && this.synchronous)
+			throw new CalculatorAsyncError(tree.source);
+	};
+
+	/** @returns the first NaN or infinite number of the reduced "tree", including array elements and quantity values (like "Infinity km"), or undefined */
+	function nonFinite(tree) {
+		if (tree && tree.kind === 'array')
+			return tree.params.map(nonFinite).filter(function(v) { return v !== undefined; })[0];
+		var value = (tree && tree.kind === 'constant') ? tree.value : undefined;
+		if (value instanceof CalculatorQuantity)
+			value = value.value;
+		return (typeof value === 'number' && !isFinite(value)) ? value : undefined;
+	}
+
+	/** @returns "error" positioned on "tree" in formula, with "tree" as the offending node, if "error" is a CalculatorError not positioned yet */
+	function positioned(error, tree) {
+		if (error instanceof CalculatorError && !error.tree) {
+			error.tree = tree;
+			if (error.index === undefined && tree.start !== undefined) {
+				error.index = tree.start;
+				error.length = tree.end - tree.start;
+			}
+		}
+		return error;
+	}
+
+	/**
+	 * This method calls the "lambda" tree (like "x => x²") with the reduced "args" trees and resolves with the reduced body.
+	 * The parameters are bound in a child context, so that they are not visible outside the lambda, and missing parameters stay unresolved.
+	 */
+	CalculatorContext.prototype.call = function(lambda, args, resolve, reject) {
+		var child = this.newChild();
+		lambda.params.slice(0, args.length).forEach(function(parameter, index) {
+			// Values are bound as values and other reduced trees (like arrays) as trees
+			child.addLiteral(parameter.source.token, args[index].getType(), args[index].isValue() ? args[index].getValue(this) : args[index]);
+		}, this);
+		child.reduce(lambda.right, resolve, reject);
+	};
+
+	/** @returns a CalculatorError for the "part" (like the index) of the 'index' or 'slice' "tree", positioned on "part" in formula if parsed, or else on "tree" */
+	function indexError(tree, part, message, params) {
+		var at = (part && part.start !== undefined) ? part : tree, error = new CalculatorError(undefined, at.start, at.end - at.start, message, [at.start].concat(params));
+		error.tree = tree;
+		return error;
+	}
+
+	/** @returns the reduced "tree" without its groupings, like the array of "(arr)" in "(arr)[1]" */
+	function ungrouped(tree) {
+		return (tree.kind === 'grouping') ? ungrouped(tree.left) : tree;
+	}
+
+	/** @returns true if the reduced "tree" can be indexed, either an array or a string */
+	function isIndexable(context, tree) {
+		return tree.kind === 'array' || (tree.isValue() && typeof tree.getValue(context) === 'string');
+	}
+
+	/** This method reduces an 'index' tree, like "arr[2]" or "arr[-1]" for the last element, and rejects if the index is out of range */
+	CalculatorContext.prototype.reduceIndex = function(tree, resolve, reject) {
+		var context = this;
+		this.reduceAll([tree.left, tree.right], function(results) {
+			var target = ungrouped(results[0]), index = results[1], i = index.isValue() ? index.getValue(context) : undefined;
+			if (!isIndexable(context, target) && target.isValue())
+				reject(indexError(tree, tree.left, 'Array or string expected but found "%1" at position %0', [context.calculator.format(target)]));
+			else if (index.isArrayValue()) // like "m[1, 0]", which is not a valid index
+				reject(indexError(tree, tree.right, 'Invalid index "%1" at position %0', [context.calculator.format(index)]));
+			else if (!isIndexable(context, target) || !index.isValue())
+				resolve(CalculatorTree.at(CalculatorTree.newIndex(results[0], index), tree));
+			else if (typeof i !== 'number' || Math.floor(i) !== i)
+				reject(indexError(tree, tree.right, 'Invalid index "%1" at position %0', [context.calculator.format(index)]));
+			else {
+				var length = (target.kind === 'array') ? target.params.length : target.getValue(context).length;
+				if (i < -length || i >= length)
+					reject(indexError(tree, tree.right, 'Index "%1" out of range at position %0', [i]));
+				else if (target.kind === 'array')
+					resolve(target.params[i < 0 ? i + length : i]);
+				else
+					resolve(CalculatorTree.newConstant(target.getType(), target.getValue(context).charAt(i < 0 ? i + length : i), undefined));
+			}
+		}, reject);
+	};
+
+	/** This method reduces a 'slice' tree, like "arr[1:3]", "arr[:2]" or "arr[-2:]", where bounds out of range are limited to the array */
+	CalculatorContext.prototype.reduceSlice = function(tree, resolve, reject) {
+		var context = this;
+		this.reduceAll([tree.left, tree.params[0], tree.params[1]], function(results) {
+			var target = ungrouped(results[0]), bounds = results.slice(1);
+			var unresolved = bounds.some(function(b) { return b && !b.isValue(); });
+			var invalid = bounds.filter(function(b) { return b && (b.isArrayValue() || b.isValue() && (typeof b.getValue(context) !== 'number' || Math.floor(b.getValue(context)) !== b.getValue(context))); })[0];
+			if (!isIndexable(context, target) && target.isValue())
+				reject(indexError(tree, tree.left, 'Array or string expected but found "%1" at position %0', [context.calculator.format(target)]));
+			else if (invalid)
+				reject(indexError(tree, tree.params[bounds.indexOf(invalid)], 'Invalid index "%1" at position %0', [context.calculator.format(invalid)]));
+			else if (!isIndexable(context, target) || unresolved)
+				resolve(CalculatorTree.at(CalculatorTree.newSlice(results[0], bounds[0], bounds[1]), tree));
+			else {
+				var length = (target.kind === 'array') ? target.params.length : target.getValue(context).length;
+				var limits = bounds.map(function(b, i) {
+					var v = b ? b.getValue(context) : (i === 0 ? 0 : length);
+					return Math.max(0, Math.min(length, v < 0 ? v + length : v));
+				});
+				if (target.kind === 'array')
+					resolve(CalculatorTree.newArray(target.params.slice(limits[0], Math.max(limits[0], limits[1]))));
+				else
+					resolve(CalculatorTree.newConstant(target.getType(), target.getValue(context).substring(limits[0], Math.max(limits[0], limits[1])), undefined));
+			}
+		}, reject);
+	};
+
+	/** This method reduces a 'member' tree, like "d.year" calling the function "year" with the date "d", and rejects members of other values (like "arr.year") */
+	CalculatorContext.prototype.reduceMember = function(tree, resolve, reject) {
+		var context = this;
+		this.reduce(tree.left, function(left) {
+			var target = ungrouped(left), type = target.isValue() && target.getType();
+			if (type && ['date', 'time', 'datetime'].indexOf(type.name) >= 0)
+				context.reduceSource(tree, resolve, reject, [left]);
+			else if (target.isValue() || target.isArrayValue()) {
+				// The member is positioned after the value, like ".year" in "arr.year"
+				var at = (tree.start !== undefined) ? tree.end - tree.token.length - 1 : undefined;
+				var error = new CalculatorError(undefined, at, tree.token.length + 1, 'Unknown member "%1" at position %0', [at, tree.token]);
+				error.tree = tree;
+				reject(error);
+			} else
+				resolve(CalculatorTree.at(CalculatorTree.newMember(tree.source, left, tree.token), tree));
+		}, reject);
+	};
+
 	/** This method will reduce multiple "params" AST within this context and will resolve with an array of reduced AST or reject if an error occurred */
 	CalculatorContext.prototype.reduceAll = function(params, resolve, reject) {
 		if (params.length === 0) {
@@ -423,23 +1432,40 @@ function loadCalculatorAPI() {
 	 * @member {Map} prefixOperators - see Calculator
 	 * @member {Map} postfixOperators - see Calculator
 	 * @member {Map} binaryOperators - see Calculator
+	 * @member {Map} ternaryOperators - see Calculator
+	 * @member {Map} units - see Calculator
 	 * @member {Array} separators - a compact list of token separators, build from grammar to optimize parsing
+	 * @member {Array} tokens - the tokens of formula ({ type, text, start, end }), ending with an 'end' token (see tokenize)
+	 * @member {Number} position - the position in "tokens" of the next token
+	 * @member {Number} index - the position in formula of the next token
+	 * @member {Array} scopes - the stack of parameters maps (from token to literal) of the functions being defined
+	 * @member {Map} variables - the map from token to the new variables assigned in this formula
+	 * @member {CalculatorContext} context - the optional context holding the variables created by previous formulas
+	 * @member {Array} errors - the errors collected in tolerant mode, or undefined to stop at the first error
 	 *
 	 * @param {Calculator} calculator - the calculator to get grammar
 	 * @param {String} formula - the formula to parse
+	 * @param {CalculatorContext} context - the optional context holding variables
+	 * @param {Boolean} tolerant - true to continue after errors, replacing invalid parts with 'placeholder' trees
 	 */
-	function CalculatorParser(calculator, formula) {
+	function CalculatorParser(calculator, formula, context, tolerant) {
 		this.types = calculator.types;
 		this.literals = calculator.literals;
 		this.functions = calculator.functions;
 		this.prefixOperators = calculator.prefixOperators;
 		this.postfixOperators = calculator.postfixOperators;
 		this.binaryOperators = calculator.binaryOperators;
+		this.ternaryOperators = calculator.ternaryOperators;
+		this.units = calculator.units;
 
 		var p;
 		this.formula = formula.trim();
 		this.index = 0;
-		this.separators = ['(', ')', '[', ']', ' '];
+		this.scopes = [];
+		this.variables = {};
+		this.context = context;
+		this.errors = tolerant ? [] : undefined;
+		this.separators = ['(', ')', '[', ']', ':', '=>', ' '];
 		for (p in this.prefixOperators) {
 			this.separators.push(p);
 		}
@@ -449,8 +1475,89 @@ function loadCalculatorAPI() {
 		for (p in this.binaryOperators) {
 			this.separators.push(p);
 		}
+		for (p in this.ternaryOperators) {
+			this.separators.push(p);
+			this.separators.push(this.ternaryOperators[p].separator.toLowerCase());
+		}
+		this.tokens = this.tokenize();
+		this.position = 0;
+		this.index = this.tokens[0].start;
 	}
 
+	/**
+	 * This function splits the formula into tokens, once before parsing, and returns them as an array of { type, text, start, end }.
+	 *
+	 * Different type of token :
+	 * - string : a string between double quotes, like "\"abc\""
+	 * - name : a name, like "x", "sqrt" or "km"
+	 * - operator : a separator from the grammar, like "+", "(", "=>" or a word operator like "in"
+	 * - member : a member access following a value, like ".year" in "d.year"
+	 * - value : any other text up to the next separator, like "3.14" or "0xFF"
+	 * - end : the empty token at the end of formula
+	 */
+	CalculatorParser.prototype.tokenize = function() {
+		var formula = this.formula, tokens = [], symbols = {}, words = {}, i = 0, start, text, type, c;
+		// Separators are grouped by first character (longest first), except word operators (like "in") that can only match a whole name
+		this.separators.forEach(function(separator) {
+			if (/^[\w\u00C0-\u024F]+$/.test(separator))
+				words[separator] = true;
+			else if (separator !== ' ')
+				(symbols[separator.charAt(0)] = symbols[separator.charAt(0)] || []).push(separator);
+		});
+		Object.keys(symbols).forEach(function(c) {
+			symbols[c].sort(function(a, b) { return b.length - a.length; });
+		});
+		// returns the separator starting at position "i" in formula, or undefined
+		function symbolAt(i) {
+			return (symbols[formula.charAt(i)] || []).filter(function(separator) { return formula.substr(i, separator.length) === separator; })[0];
+		}
+		while (true) {
+			// Skip spaces
+			while (i < formula.length && formula.charAt(i) === ' ')
+				i++;
+			if (i >= formula.length)
+				break;
+			start = i;
+			c = formula.charAt(i);
+			if (c === '"') {
+				// A string, up to the next closing quote
+				i++;
+				while (i < formula.length && formula.charAt(i) !== '"') {
+					// skip despecialized characters, like quotes or backslashes
+					i += (formula.charAt(i) === '\\') ? 2 : 1;
+				}
+				if (i >= formula.length) {
+					// In tolerant mode, the string is closed at the end of formula
+					this.index = start;
+					this.error('Un-terminated string started at position %0', [start], i - start);
+					tokens.push({ type: 'string', text: formula.substring(start) + '"', start: start, end: formula.length });
+					break;
+				}
+				i++;
+				type = 'string';
+			} else if (/[a-zA-Z_\u00C0-\u024F]/.test(c) || (c === '.' && /[a-zA-Z_\u00C0-\u024F]/.test(formula.charAt(i + 1)) && tokens.length > 0)) {
+				// A name (or a member access like ".year" in "d.year"), including characters used by operators, like "in" in "min"
+				i++;
+				while (i < formula.length && /[\w\u00C0-\u024F]/.test(formula.charAt(i)))
+					i++;
+				type = (c === '.') ? 'member' : words.hasOwnProperty(formula.substring(start, i)) ? 'operator' : 'name';
+			} else if ((text = symbolAt(i))) {
+				// A separator, like "+", ">>=" or "("
+				i += text.length;
+				type = 'operator';
+			} else {
+				// Any other value, up to the next space, string or separator
+				while (i < formula.length && formula.charAt(i) !== ' ' && formula.charAt(i) !== '"' && !symbolAt(i))
+					i++;
+				type = 'value';
+			}
+			tokens.push({ type: type, text: formula.substring(start, i), start: start, end: i });
+		}
+		// The last token when the string is over is an empty token
+		tokens.push({ type: 'end', text: '', start: formula.length, end: formula.length });
+		return tokens;
+	};
+
 	/**
 	 * This function reads the formula and, if successful, returns the corresponding AST as a CalculatorTree
 	 *
@@ -463,6 +1570,9 @@ function loadCalculatorAPI() {
 	 * - prefix(token, right) : an unary prefix operateur with a single "right" sub-element
 	 * - postfix(token, left) : an unary postfix operateur with a single "left" sub-element
 	 * - function(token, params) : a function using 0..B sub-elements, separated by "," and surrounded by "(" and ")"
+	 *
+	 * Each tree has its "start" and "end" positions in formula.
+	 * In tolerant mode, invalid parts are replaced by a placeholder(token) and the errors are collected in "errors".
 	 */
 	CalculatorParser.prototype.parse = function() {
 		// Try to get the Abstract Syntax Tree (AST) for the expression starting at precedence 0
@@ -473,69 +1583,54 @@ function loadCalculatorAPI() {
 		return tree;
 	};
 
-	/** stops the parsing process and reports an error. */
-	CalculatorParser.prototype.error = function(message, params, tokenLength) {
+	/** stops the parsing process and reports an error, or only collects the error and returns it in tolerant mode (only the first one at each position). */
+	CalculatorParser.prototype.error = function(message, params, tokenLength, severity) {
+		var error = new CalculatorError(this.formula, this.index, tokenLength, message, params, this.errors && severity);
 		// Stop algorithm
-		throw new CalculatorError(this.formula, this.index, tokenLength, message, params);
+		if (!this.errors)
+			throw error;
+		// The same token may be reported twice, like ")" in ")" which is both a missing value and an unexpected token
+		var previous = this.errors.filter(function(e) { return e.index === error.index; })[0];
+		if (previous)
+			return previous;
+		this.errors.push(error);
+		return error;
+	};
+
+	/** returns a 'placeholder' tree for "error" in tolerant mode, replacing the part of formula from "start" to the end of the last consumed token */
+	CalculatorParser.prototype.placeholder = function(error, start) {
+		var tree = this.span(CalculatorTree.newPlaceholder(error, undefined), start);
+		tree.token = this.formula.substring(tree.start, tree.end);
+		return tree;
 	};
 
 	/** returns the next token of input or special marker "end" to represent that there are no more input tokens. "next" does not alter the input stream. */
 	CalculatorParser.prototype.next = function() {
-		// Parsing after string end throws an error
-		if (this.index > this.formula.length)
-			this.error('End of formula has been reached');
-		// The last token when the string is over is an empty token
-		if (this.index === this.formula.length)
-			return '';
-		var i;
-		// Check if a string starts at current position
-		if (this.formula[this.index] === '"') {
-			// In that case, find the next closing quote
-			var previous = '';
-			i = this.index + 1;
-			while (i < this.formula.length
-					&& (this.formula[i] !== '"' || previous === '\\')) { // skip despecialized quotes
-				previous = this.formula[i];
-				i++;
-			}
-			if (i === this.formula.length)
-				this.error('Un-terminated string started at position %0', [this.index], i - this.index);
-			// Found a string
-			return this.formula.substring(this.index, i + 1);
-		}
-		// Search the next occurence of each separators
-		var index = -1, length = 0;
-		for (i = 0; i < this.separators.length; i++) {
-			var p = this.formula.indexOf(this.separators[i], this.index);
-			if (p >= 0) {
-				if (index === -1 || index > p) {
-					index = p;
-					length = this.separators[i].length;
-				} else if (index === p) {
-					length = Math.max(length, this.separators[i].length);
-				}
-			}
-		}
-		// found a token ending stream
-		if (index === -1)
-			return this.formula.substring(this.index);
-		// found a separator at current position
-		if (index === this.index)
-			return this.formula.substr(this.index, length);
-		// found a token from this current position to the next separator
-		return this.formula.substring(this.index, index).trim();
+		return this.tokens[this.position].text;
 	};
 
 	/** reads one token. When "next=end", consume is still allowed, but has no effect. */
-	CalculatorParser.prototype.consume = function(text) {
-		// Get next token to consume, or use text if provided as optimisation
-		// In fact, this.next() is never called because each call to 'consume' already knowns what is the next token (= "text" argument)
-		var s = text || this.next();
-		// Move forward
-		this.index += s.length;
-		// And skip following spaces
-		while (this.index < this.formula.length && this.formula[this.index] === ' ')
-			this.index++;
+	CalculatorParser.prototype.consume = function() {
+		if (this.position < this.tokens.length - 1)
+			this.rewind(this.position + 1);
+	};
+
+	/** returns the token following the next token of input. "peek" does not alter the input stream. */
+	CalculatorParser.prototype.peek = function() {
+		return this.tokens[Math.min(this.position + 1, this.tokens.length - 1)].text;
+	};
+
+	/** goes back (or forward) to the token at "position" in "tokens" */
+	CalculatorParser.prototype.rewind = function(position) {
+		this.position = position;
+		this.index = this.tokens[position].start;
+	};
+
+	/** sets the "start" and "end" positions of "tree" in formula, from "start" to the end of the last consumed token, and returns "tree" */
+	CalculatorParser.prototype.span = function(tree, start) {
+		tree.start = start;
+		tree.end = Math.max(start, this.position > 0 ? this.tokens[this.position - 1].end : 0);
+		return tree;
 	};
 
 	/** if next = text then consume else error */
@@ -553,71 +1648,198 @@ function loadCalculatorAPI() {
 
 	CalculatorParser.prototype.Exp = function(p) {
 		// An expression at precedence "p" is a primary value (meaning "everything except an operator")
-		var tree = this.Primary();
+		var start = this.index, tree = this.Primary();
 		// Get the next token
-		var token = this.next().toLowerCase();
-		// Check if the next token is a binary operator with expected minimum precedence
+		var s = this.next(), token = s.toLowerCase();
+		// Check if the next token is a binary operator with expected minimum precedence, a postfix operator or a unit
 		var op, q, right;
-		while (this.binaryOperators.hasOwnProperty(token) && this.binaryOperators[token].precedence >= p) {
-			op = this.binaryOperators[token];
+		while (true) {
+			if (this.binaryOperators.hasOwnProperty(token) && this.binaryOperators[token].precedence >= p) {
+				op = this.binaryOperators[token];
+				this.consume(token);
+				// "q" is the accepted precedence for an operator on the right side of the binary operator "token"
+				// This is where the precedence of operator matters !
+				q = op.associativity === 'left' ? op.precedence + 1 : op.precedence;
+				// Get the right part of the binary operator "token"
+				right = this.Exp(q);
+				// Create a "binary" AST node
+				tree = this.span(CalculatorTree.newBinary(op, tree /*a primary in the first loop, a binary after that*/, right, token), start);
+			} else if (this.ternaryOperators.hasOwnProperty(token) && this.ternaryOperators[token].precedence >= p) {
+				op = this.ternaryOperators[token];
+				this.consume(token);
+				// Get the middle part, up to the separator (like ":" in "test ? a : b"), and the right part (right-associative, like "t1 ? a : t2 ? b : c")
+				var middle = this.Exp(op.precedence);
+				this.expect(op.separator.toLowerCase());
+				right = this.Exp(op.precedence);
+				// Create a "ternary" AST node
+				tree = this.span(CalculatorTree.newTernary(op, tree, middle, right, token), start);
+			} else if (s === '[') {
+				// Indexing or slicing, like "arr[2]" or "arr[1:3]"
+				tree = this.span(this.Index(tree), start);
+			} else if (this.tokens[this.position].type === 'member') {
+				// Member access, like "d.year" calling the function "year" with "d"
+				var error = this.functions.hasOwnProperty(token.substring(1)) ? undefined : this.error('Unknown member "%1" at position %0', [this.index, s.substring(1)], s.length);
+				this.consume(s);
+				tree = error ? this.placeholder(error, start) : this.span(CalculatorTree.newMember(this.functions[token.substring(1)], tree, s.substring(1)), start);
+			} else if (this.postfixOperators.hasOwnProperty(token)) {
+				op = this.postfixOperators[token];
+				this.consume(token);
+				// Create a "postfix" AST node, that may be followed by a binary operator (like in "x² + 1")
+				tree = this.span(CalculatorTree.newPostfix(op, tree, token), start);
+			} else if (this.units.hasOwnProperty(s) && !this.binaryOperators.hasOwnProperty(token) && this.binaryOperators.hasOwnProperty('*')) {
+				// A value followed by a unit is multiplied by the unit (and its postfix operators), like "5 km", "3 m²" or "9.81 m/s²"
+				right = this.Exp(Infinity);
+				// Create a "binary" AST node without token, formatted as "5 km"
+				tree = this.span(CalculatorTree.newBinary(this.binaryOperators['*'], tree, right, ''), start);
+			} else {
+				return tree;
+			}
+			// And check if the next token is also an operator
+			s = this.next();
+			token = s.toLowerCase();
+		}
+	};
+
+	/** Parses the index (like "[2]") or the slice (like "[1:3]", "[:2]" or "[1:]") following "tree" */
+	CalculatorParser.prototype.Index = function(tree) {
+		var from, to;
+		this.consume('[');
+		if (this.next() !== ':')
+			from = this.Exp(0);
+		if (this.next() !== ':') {
+			this.expect(']');
+			return CalculatorTree.newIndex(tree, from);
+		}
+		this.consume(':');
+		if (this.next() !== ']')
+			to = this.Exp(0);
+		this.expect(']');
+		return CalculatorTree.newSlice(tree, from, to);
+	};
+
+	/** Parses the lambda starting with "token", like "x => x²", "(x, y) => x + y" or "() => 1", or returns undefined if this is not a lambda */
+	CalculatorParser.prototype.Lambda = function(token) {
+		// Remember where we are, to go back there if this is not a lambda
+		var position = this.position, start = this.index, scope = {}, parameters = [], names = [], comma = this.binaryOperators[','], name, separated = false, seen = {}, duplicate, body;
+		if (this.isIdentifier(token)) {
+			names.push(this.tokens[this.position]);
 			this.consume(token);
-			// "q" is the accepted precedence for an operator on the right side of the binary operator "token"
-			// This is where the precedence of operator matters !
-			q = op.associativity === 'left' ? op.precedence + 1 : op.precedence;
-			// Get the right part of the binary operator "token"
-			right = this.Exp(q);
-			// Create a "binary" AST node
-			tree = CalculatorTree.newBinary(op, tree /*a primary in the first loop, a binary after that*/, right, token);
-			// And check if the next token is also a binary operator
-			token = this.next().toLowerCase();
-		}
-		// Check if the next token is a postfix operator
-		while (this.postfixOperators.hasOwnProperty(token)) {
-			op = this.postfixOperators[token];
+		} else if (token === '(') {
+			// Read the parameters names, separated by ",", until the closing ")"
 			this.consume(token);
-			// Create a "postfix" AST node
-			tree = CalculatorTree.newPostfix(op, tree, token);
-			// And check if the next token is also a postfix operator
-			token = this.next().toLowerCase();
+			name = this.next();
+			while (this.isIdentifier(name)) {
+				if (duplicate === undefined && seen.hasOwnProperty(name.toLowerCase()))
+					duplicate = this.position;
+				seen[name.toLowerCase()] = true;
+				names.push(this.tokens[this.position]);
+				this.consume(name);
+				name = this.next();
+				separated = (name === ',');
+				if (!separated)
+					break;
+				this.consume(name);
+				name = this.next();
+			}
+			if (name === ')' && !separated)
+				this.consume(name);
+			else
+				name = undefined;
+		}
+		if (names.length === 0 && name !== ')' || this.next() !== '=>') {
+			this.rewind(position);
+			return undefined;
 		}
+		this.consume('=>');
+		if (duplicate !== undefined) {
+			// Parameters should have different names, like "(a, b) => a + b" but not "(a, a) => a", reported on the second one
+			var arrow = this.position;
+			this.rewind(duplicate);
+			this.error('Duplicate parameter "%1" at position %0', [this.index, this.next()], this.next().length);
+			this.rewind(arrow);
+		}
+		names.forEach(function(n) {
+			// Each parameter is an unresolved literal, bound to a value in the context of each call (see CalculatorContext.call)
+			scope[n.text.toLowerCase()] = new CalculatorLiteral(n.text, undefined, undefined);
+			scope[n.text.toLowerCase()].notResolved = true;
+			parameters.push(scope[n.text.toLowerCase()]);
+		});
+		// The body is parsed with parameters in scope, up to the next "," (like in "map(values, x => x²)")
+		this.scopes.push(scope);
+		body = this.Exp(comma ? comma.precedence + 1 : 0);
+		this.scopes.pop();
+		var tree = this.span(CalculatorTree.newLambda(parameters, body, '=>'), start);
+		// Parameters are positioned on their names
+		tree.params.forEach(function(p, i) { CalculatorTree.at(p, names[i]); });
 		return tree;
 	};
 
 	CalculatorParser.prototype.Primary = function() {
 		// Get next token
-		var token = this.next();
+		var token = this.next(), start = this.index;
 		var op, t;
+		// If the token starts a lambda, like "x => x²" or "(x, y) => x + y"
+		if ((this.isIdentifier(token) && this.peek() === '=>') || token === '(') {
+			t = this.Lambda(token);
+			if (t)
+				return t;
+		}
 		if (this.prefixOperators.hasOwnProperty(token.toLowerCase())) {
 			// If token is a prefix operator : consume it, get right part expresion and we are done
 			op = this.prefixOperators[token.toLowerCase()];
 			this.consume(token);
 			var q = op.precedence;
 			var right = this.Exp(q);
-			return CalculatorTree.newPrefix(op, right, token.toLowerCase());
+			return this.span(CalculatorTree.newPrefix(op, right, token.toLowerCase()), start);
 		}
 		if ('(' === token) {
 			// If token is a '(' : consume it, get a single grouped expression and we should find the closing ')'
 			this.consume(token);
 			t = this.Exp(0);
 			this.expect(')');
-			return CalculatorTree.newGrouping(t);
+			return this.span(CalculatorTree.newGrouping(t), start);
 		}
 		if ('[' === token) {
 			// If token is a '[' : consume it, get a multiple expressions array and we should find the closing ']'
 			this.consume(token);
-			return CalculatorTree.newArray(this.Array(']'));
+			return this.span(CalculatorTree.newArray(this.Array(']')), start);
 		}
-		if (this.functions.hasOwnProperty(token.toLowerCase())) {
-			// If the token is a function's name : consume it and get parameters between '(' and ')'
+		if (this.functions.hasOwnProperty(token.toLowerCase()) && this.peek() === '(') {
+			// If the token is a function's name followed by '(' (and not a unit like "min" in "60 s in min") : consume it and get parameters between '(' and ')'
 			var f = this.functions[token.toLowerCase()];
+			// Functions defined in a formula can be redefined, like "f(x) = x + 1" after "f(x) = x", unlike predefined functions (reported by "Definition")
+			t = this.Definition(token);
+			if (t)
+				return t;
 			this.consume(token);
 			this.expect('(');
-			return CalculatorTree.newFunction(f, this.Array(')'), token);
+			return this.span(CalculatorTree.newFunction(f, this.Array(')'), token), start);
 		}
+		// If the token is followed by "(" and names, it may be a function definition, like "f(x, y) = x² + y²"
+		t = this.Definition(token);
+		if (t)
+			return t;
 		// Finally, the token should be a literal : consume it
 		var left = this.Literal(token);
-		this.consume(token);
-		return left;
+		if (left.kind === 'literal' && this.peek() === '(' && left.source !== this.literals[token.toLowerCase()] && left.source !== this.units[token]) {
+			// If the token is a variable followed by '(', it should be a lambda called with parameters between '(' and ')', like "sq(3)" after "sq = x => x²"
+			this.consume(token);
+			this.expect('(');
+			return this.span(CalculatorTree.newFunction(new CalculatorFunction(token, undefined, lambdaCallReduce(left)), this.Array(')'), token), start);
+		}
+		if (left.kind !== 'placeholder') {
+			this.consume(token);
+			return this.span(left, start);
+		}
+		// In tolerant mode, an invalid token is skipped, except separators that may follow a missing value (like ")" in "(1 + )")
+		if (this.tokens[this.position].type !== 'operator' && this.tokens[this.position].type !== 'end')
+			this.consume(token);
+		// The parameters of an unknown function are still parsed, to report their errors too
+		if (this.isIdentifier(token) && this.next() === '(') {
+			this.consume('(');
+			this.Array(')');
+		}
+		return this.placeholder(left.value, start);
 	};
 
 	CalculatorParser.prototype.Array = function(lastToken) {
@@ -645,26 +1867,140 @@ function loadCalculatorAPI() {
 		return params;
 	};
 
+	CalculatorParser.prototype.Definition = function(token) {
+		// Remember where we are, to go back there if this is not a function definition
+		var position = this.position, start = this.index, op = this.binaryOperators['='], scope = {}, parameters = [], names = [], name, closed, header, body, f;
+		if (!op || !this.isIdentifier(token))
+			return undefined;
+		// Predefined literals and functions can not be redefined, like "pi(x) = x" or "sin(x) = x"
+		var predefined = this.literals.hasOwnProperty(token.toLowerCase()) || (this.functions.hasOwnProperty(token.toLowerCase()) && !this.functions[token.toLowerCase()].body);
+		this.consume(token);
+		if (this.next() === '(') {
+			this.consume('(');
+			// Read the parameters names, separated by ",", until the closing ")"
+			name = this.next();
+			closed = (name === ')');
+			while (!closed && this.isIdentifier(name) && !scope.hasOwnProperty(name.toLowerCase())) {
+				// Each parameter is an unresolved literal, bound to a value in the context of each call (see "userFunctionReduce")
+				scope[name.toLowerCase()] = new CalculatorLiteral(name, undefined, undefined);
+				scope[name.toLowerCase()].notResolved = true;
+				parameters.push(scope[name.toLowerCase()]);
+				names.push(this.tokens[this.position]);
+				this.consume(name);
+				name = this.next();
+				closed = (name === ')');
+				if (name !== ',')
+					break;
+				this.consume(name);
+				name = this.next();
+			}
+			// The header "f(x, y)" should be followed by "=" to be a function definition
+			if (closed) {
+				this.consume(name);
+				header = this.span(CalculatorTree.newFunction(undefined, parameters.map(function(p, i) { return CalculatorTree.at(CalculatorTree.newLiteral(p, p.token), names[i]); }), token), start);
+				if (this.next() === '=' && predefined) {
+					// The error is reported on the name, and the whole definition is replaced in tolerant mode
+					var end = this.position, error;
+					this.rewind(position);
+					error = this.error('"%1" can not be redefined at position %0', [this.index, token], token.length);
+					this.rewind(end);
+					this.consume('=');
+					this.scopes.push(scope);
+					this.Exp(op.precedence);
+					this.scopes.pop();
+					return this.placeholder(error, start);
+				}
+				if (this.next() === '=') {
+					this.consume('=');
+					// The body is parsed with parameters in scope, with the precedence of the right-associative "=" operator
+					this.scopes.push(scope);
+					body = this.Exp(op.precedence);
+					this.scopes.pop();
+					f = new CalculatorFunction(token, parameters.map(function(p) { return p.token; }).join(', '), userFunctionReduce(parameters, body));
+					f.parameters = parameters;
+					f.body = body;
+					f.typed(undefined, parameters.map(function() { return 'any'; }));
+					header.source = f;
+					return this.span(CalculatorTree.newBinary(op, header, body, '='), start);
+				}
+			}
+		}
+		// Not a function definition, go back to the starting point
+		this.rewind(position);
+		return undefined;
+	};
+
+	/** returns true if "token" can be used as a name, like a function name or a parameter name */
+	CalculatorParser.prototype.isIdentifier = function(token) {
+		return /^[a-zA-Z_\u00C0-\u024F][\w\u00C0-\u024F]*$/.test(token);
+	};
+
 	CalculatorParser.prototype.Literal = function(token) {
-		var tokenLC = token.toLowerCase();
+		var tokenLC = token.toLowerCase(), i;
+
+		// Throw error if the token is a separator
+		if (this.separators.indexOf(tokenLC) >= 0 || token === '')
+			return CalculatorTree.newPlaceholder(this.error('Expecting a value but found "%1" at position %0', [this.index, token], token.length), token);
+
+		// Parameters of the functions being defined, like "x" in "f(x) = x²"
+		for (i = this.scopes.length - 1; i >= 0; i--) {
+			if (this.scopes[i].hasOwnProperty(tokenLC))
+				return CalculatorTree.newLiteral(this.scopes[i][tokenLC], token);
+		}
 
-		// Throw error if the token is a function name
-		if (this.functions.hasOwnProperty(tokenLC) || this.separators.indexOf(tokenLC) >= 0)
-			this.error('Expecting a value but found "%1" at position %0', [this.index, token], token.length);
+		// New variables assigned earlier in this formula
+		if (this.variables.hasOwnProperty(tokenLC))
+			return CalculatorTree.newLiteral(this.variables[tokenLC], token);
 
 		// Predefined literals like pi, mem, ...
 		if (this.literals.hasOwnProperty(tokenLC))
 			return CalculatorTree.newLiteral(this.literals[tokenLC], token);
 
+		// Context-local literals like variables created by previous formulas
+		var literal = this.context && this.context.findLiteral(tokenLC);
+		if (literal)
+			return CalculatorTree.newLiteral(literal, token);
+
 		// Type supported literals like boolean, dates, strings, numbers, ...
-		for (var i = 0; i < this.types.length; i++) {
-			var value = this.types[i].parse(token);
+		for (i = 0; i < this.types.length; i++) {
+			var value;
+			try {
+				value = this.types[i].parse(token);
+			} catch (e) {
+				// Invalid tokens of a type are positioned here, like a time skipped by a daylight saving time change
+				if (!(e instanceof CalculatorError))
+					throw e;
+				return CalculatorTree.newPlaceholder(this.error(e.message, [this.index].concat(e.params), token.length), token);
+			}
 			if (value !== undefined)
 				return CalculatorTree.newConstant(this.types[i], value, token);
 		}
 
+		// Unknown names followed by "=" are new variables, like "rate" in "rate = 0.2" (even if "rate" is also a function name, called with parameters),
+		// but units can not be shadowed (like "h" in "h = 3")
+		if (this.isIdentifier(token) && !this.units.hasOwnProperty(token) && this.binaryOperators.hasOwnProperty('=') && this.peek() === '=') {
+			// The variable is an unresolved literal, created in the context by the "=" operator
+			this.variables[tokenLC] = new CalculatorLiteral(token, undefined, undefined);
+			this.variables[tokenLC].notResolved = true;
+			return CalculatorTree.newLiteral(this.variables[tokenLC], token);
+		}
+
+		// Units, like "km" in "5 km" or "h" in "km/h" (case-sensitive : "mm" is not "Mm")
+		if (this.units.hasOwnProperty(token))
+			return CalculatorTree.newLiteral(this.units[token], token);
+
+		// Other function names should be followed by their parameters, like "sin" in "sin(x)"
+		if (this.functions.hasOwnProperty(tokenLC))
+			return CalculatorTree.newPlaceholder(this.error('Expecting "(" after function "%1" at position %0', [this.index, token], token.length), token);
+
+		// Other unknown names are reported as unknown functions (like "foo(3)") or unknown variables
+		if (this.isIdentifier(token) && this.peek() === '(')
+			return CalculatorTree.newPlaceholder(this.error('Unknown function "%1" at position %0', [this.index, token], token.length), token);
+		if (this.isIdentifier(token))
+			return CalculatorTree.newPlaceholder(this.error('Unknown variable "%1" at position %0', [this.index, token], token.length), token);
+
 		// Unsupported literal
-		this.error('Expecting a value but found "%1" at position %0', [this.index, token], token.length);
+		return CalculatorTree.newPlaceholder(this.error('Expecting a value but found "%1" at position %0', [this.index, token], token.length), token);
 	};
 
 	/**
@@ -676,6 +2012,10 @@ function loadCalculatorAPI() {
 	 * @member {Map} prefixOperators - the map from operator's token to prefix operator accepted in the grammar
 	 * @member {Map} postfixOperators - the map from operator's token to postfix operator accepted in the grammar
 	 * @member {Map} binaryOperators - the map from operator's token to binary operator accepted in the grammar
+	 * @member {Map} ternaryOperators - the map from operator's first token to ternary operator accepted in the grammar
+	 * @member {Map} units - the map from symbol to unit literals accepted in the grammar (see addQuantityType), case-sensitive
+	 * @member {Map} typeGroups - the map from group name (like 'number') to type names, used by typed signatures (see CalculatorFunction.typed)
+	 * @member {Boolean} strict - true to reject NaN and Infinity results (like "log(-1)" or "1 / 0"), even in arrays or quantities, as errors, false by default
 	 */
 	function Calculator() {
 		this.types = [];
@@ -684,6 +2024,10 @@ function loadCalculatorAPI() {
 		this.prefixOperators = {};
 		this.postfixOperators = {};
 		this.binaryOperators = {};
+		this.ternaryOperators = {};
+		this.units = {};
+		this.typeGroups = {};
+		this.strict = false;
 	}
 
 	/** Helper method to support another type, either (name, parse, format) or (CalculatorType). */
@@ -711,27 +2055,208 @@ function loadCalculatorAPI() {
 	Calculator.prototype.addOperator = function(token, precedence, associativity, reduce, calculate) {
 		var entry =(typeof token !== 'string') ? token : new CalculatorOperator(token, precedence, associativity, reduce, calculate);
 		// Some tokens may be prefix, postfix and/or binary. For instance : "++" is prefix or postfix and "-" is prefix or binary
-		// To avoid naming conflict, operators are stored internally in three different maps.
+		// To avoid naming conflict, operators are stored internally in different maps.
 		// var operators = this[associativity + 'Operators'] || this.binaryOperators;
 		var tokenLC = entry.token.toLowerCase();
 		if ('prefix' === entry.associativity)
 			this.prefixOperators[tokenLC] = entry;
 		else if ('postfix' === entry.associativity)
 			this.postfixOperators[tokenLC] = entry;
+		else if ('ternary' === entry.associativity)
+			this.ternaryOperators[tokenLC] = entry;
 		else
 			this.binaryOperators[tokenLC] = entry;
 		return entry;
 	};
 
+	/** Helper method to add type names to a group of types, like "addTypeGroup('number', ['integer', 'float'])", creating the group if needed */
+	Calculator.prototype.addTypeGroup = function(group, names) {
+		this.typeGroups[group] = (this.typeGroups[group] || []).concat(names);
+		return this.typeGroups[group];
+	};
+
+	/**
+	 * Helper method to declare a free variable, either (token, type) or (CalculatorLiteral).
+	 * The variable can be used in formulas but is not resolved during reduction : for instance, "2 * 3 + x" will be reduced to "6 + x".
+	 * The value can be given later, in a context, using "context.addLiteral(token, type, value)" or the formula "x = value".
+	 */
+	Calculator.prototype.declareVariable = function(token, type) {
+		var entry = this.addLiteral(token, type, undefined);
+		entry.notResolved = true;
+		return entry;
+	};
+
 	/**
 	 * This method tries to parse a formula into an abstract syntax tree (AST).
 	 * Then, you can use "format" or "calculate" methods, passing them the "parse" result AST.
 	 *
 	 * @param {String} formula - the formula to parse
+	 * @param {CalculatorContext} context - the optional context, holding the variables created by previous formulas
 	 * @return {CalculatorTree} an object representing the expression
 	 */
-	Calculator.prototype.parse = function(formula) {
-		return new CalculatorParser(this, formula).parse();
+	Calculator.prototype.parse = function(formula, context) {
+		return new CalculatorParser(this, formula, context).parse();
+	};
+
+	/**
+	 * This method parses a formula like "parse" but, instead of throwing the first error, continues after errors to report all of them.
+	 * Invalid parts of formula are replaced with 'placeholder' trees that are rejected if reduced. For instance, in "foo(1, ) + (2",
+	 * the unknown function "foo", the missing value after "," and the unclosed "(" are reported at once.
+	 *
+	 * @param {String} formula - the formula to parse
+	 * @param {CalculatorContext} context - the optional context, holding the variables created by previous formulas
+	 * @return {Object} { tree, errors } where "tree" is the (partial) AST and "errors" the CalculatorErrors, with severity 'error' or 'warning'
+	 */
+	Calculator.prototype.parseTolerant = function(formula, context) {
+		var parser = new CalculatorParser(this, formula, context, true);
+		var tree = parser.parse();
+		return { tree: tree, errors: parser.errors };
+	};
+
+	/**
+	 * This method parses a formula and reduces it within a context, returning a Promise instead of using callbacks.
+	 * NB: Promise must be supported by the browser (it is not the case of IE) but "parse" and "reduce" can still be used otherwise.
+	 *
+	 * <code>
+	 * calculator.evaluate('1 + 2²').then(function(result) {
+	 *   console.log(result.value, result.type.name, result.text); // 5 "float" "5"
+	 * }, function(error) {
+	 *   console.log(error.format ? error.format() : error);
+	 * });
+	 * </code>
+	 *
+	 * @param {String} formula - the formula to evaluate
+	 * @param {CalculatorContext} context - the optional context (a new one is created if missing)
+	 * @return {Promise} a promise resolved with the result (see "evaluationResult") or rejected with the error (a CalculatorError for parsing errors)
+	 */
+	Calculator.prototype.evaluate = function(formula, context) {
+		var calculator = this;
+		context = context || new CalculatorContext(calculator);
+		return new Promise(function(resolve, reject) {
+			// Parsing errors are thrown, which rejects the promise
+			var tree = calculator.parse(formula, context);
+			context.reduce(tree, function(output) {
+				resolve(evaluationResult(calculator, context, output));
+			}, reject);
+		});
+	};
+
+	/**
+	 * This method reduces an AST (like the one extracted by "parse") within a context and returns the result directly, without callback.
+	 * This is only possible when every function and operator resolves before returning, otherwise a CalculatorAsyncError is thrown.
+	 *
+	 * <code>
+	 * var tree = calculator.parse('1 + 2²');
+	 * console.log(calculator.evaluateSync(tree).text); // "5"
+	 * </code>
+	 *
+	 * @param {CalculatorTree} tree - the tree to evaluate
+	 * @param {CalculatorContext} context - the optional context (a new one is created if missing)
+	 * @return {Object} the result (see "evaluationResult")
+	 * @throws {CalculatorAsyncError} if a function or an operator does not resolve synchronously
+	 */
+	Calculator.prototype.evaluateSync = function(tree, context) {
+		var calculator = this, result, rejected = false, reason;
+		context = context || new CalculatorContext(calculator);
+		var synchronous = context.synchronous;
+		context.synchronous = true;
+		try {
+			context.reduce(tree, function(output) {
+				result = evaluationResult(calculator, context, output);
+			}, function(error) {
+				rejected = true;
+				reason = error;
+			});
+		} finally {
+			context.synchronous = synchronous;
+		}
+		if (rejected)
+			throw reason;
+		return result;
+	};
+
+	/**
+	 * Helper method to describe the reduced "output" tree as the result of an evaluation.
+	 *
+	 * @return {Object} { tree, value, type, text } where "value" and "type" are undefined if "output" could not be reduced to a value
+	 */
+	function evaluationResult(calculator, context, output) {
+		if (typeof output === 'undefined')
+			return { tree: output, value: undefined, type: undefined, text: '' };
+		if (!output.isValue())
+			return { tree: output, value: undefined, type: undefined, text: calculator.format(output) };
+		var value = output.getValue(context), type = output.getType();
+		return { tree: output, value: value, type: type, text: type.format(value) };
+	}
+
+	/**
+	 * This method checks the parameters of typed functions and operators (see CalculatorFunction.typed) in an AST (like the one extracted by "parse"),
+	 * before any reduction. Types are deduced from constants, literals, arrays, lambdas and the results of typed functions and operators,
+	 * and unknown types (like the value of a free variable) are always accepted.
+	 * Functions and operators without typed signature are not checked, and the arithmetic operators (like "+" or "*") accept the types
+	 * of their overloads (strings, dates, durations, arrays, quantities...).
+	 *
+	 * <code>
+	 * calculator.check(calculator.parse('sqrt("abc") + year(5, 6)')).forEach(function(error) {
+	 *   console.log(error.format()); // 'Parameter 1 of "sqrt" expects "number" but found "string" at position 5' and 'Too many parameters for "year" at position 14'
+	 * });
+	 * </code>
+	 *
+	 * @param {CalculatorTree} tree - the tree to check
+	 * @return {Array} the CalculatorErrors for invalid parameter counts or types, positioned in formula, or an empty array if the tree is valid
+	 */
+	Calculator.prototype.check = function(tree) {
+		var calculator = this, errors = [];
+		function error(at, message, params) {
+			errors.push(new CalculatorError(undefined, at.start, (at.end || 0) - (at.start || 0), message, [at.start].concat(params)));
+		}
+		// The type names matching "types", like ['integer', 'float', ...] for 'number' or ['string', 'null'] for 'string|null'
+		function expand(types) {
+			return [].concat.apply([], types.replace(/\?$/, '').split('|').map(function(name) {
+				return calculator.typeGroups.hasOwnProperty(name) ? calculator.typeGroups[name] : [name];
+			}));
+		}
+		// The type (or group of types) of "tree", or undefined if unknown before reduction
+		function typeOf(tree) {
+			switch (tree.kind) {
+				case 'constant':
+					return tree.type && tree.type.name;
+				case 'literal':
+					return tree.source.type && tree.source.type.name;
+				case 'array':
+					return 'array';
+				case 'lambda':
+					return 'function';
+				case 'grouping':
+					return typeOf(tree.left);
+			}
+			return tree.source && tree.source.signature ? tree.source.signature.result : undefined;
+		}
+		function accepts(expected, tree) {
+			var type = typeOf(tree), accepted = expand(expected);
+			return !type || accepted.indexOf('any') >= 0 || expand(type).some(function(t) { return accepted.indexOf(t) >= 0; });
+		}
+		function visit(tree) {
+			if (!tree)
+				return;
+			[tree.left, tree.right].concat(tree.params || []).forEach(visit);
+			var signature = tree.source && tree.source.signature, token = tree.token || (tree.source && tree.source.token);
+			var params = (tree.kind === 'function' || tree.kind === 'ternary') ? tree.params : (tree.kind === 'member') ? [tree.left] : [tree.left, tree.right].filter(Boolean);
+			if (!signature || tree.kind === 'lambda')
+				return;
+			var required = signature.params.filter(function(p) { return !/\?$/.test(p); }).length;
+			if (params.length < required)
+				error(tree, 'Too few parameters for "%1" at position %0', [token]);
+			else if (params.length > signature.params.length && !signature.varargs)
+				error(tree, 'Too many parameters for "%1" at position %0', [token]);
+			params.forEach(function(param, i) {
+				var expected = signature.params[Math.min(i, signature.params.length - 1)];
+				if (expected && (i < signature.params.length || signature.varargs) && !accepts(expected, param))
+					error(param.start !== undefined ? param : tree, 'Parameter %2 of "%1" expects "%3" but found "%4" at position %0', [token, i + 1, expected.replace(/\?$/, ''), typeOf(param)]);
+			});
+		}
+		visit(tree);
+		return errors;
 	};
 
 	/**
@@ -758,25 +2283,293 @@ function loadCalculatorAPI() {
 				return '[' + tree.params.map(this.format.bind(this)).join(', ') + ']';
 			case 'grouping': // ( left )
 				return '(' + this.format(tree.left) + ')';
-			case 'binary': // left token right
+			case 'binary': // left token right, or "left right" for a value followed by a unit (like "5 km")
+				if (tree.token === '')
+					return this.format(tree.left) + ' ' + this.format(tree.right);
 				return this.format(tree.left) + ' ' + (tree.token || tree.source.token) + ' ' + this.format(tree.right);
 			case 'prefix': // token right
 				return (tree.token || tree.source.token) + this.format(tree.right);
 			case 'postfix': // left token
 				return this.format(tree.left) + (tree.token || tree.source.token);
+			case 'index': // left [ right ]
+				return this.format(tree.left) + '[' + this.format(tree.right) + ']';
+			case 'slice': // left [ from : to ]
+				return this.format(tree.left) + '[' + (tree.params[0] ? this.format(tree.params[0]) : '') + ':' + (tree.params[1] ? this.format(tree.params[1]) : '') + ']';
+			case 'member': // left . token
+				return this.format(tree.left) + '.' + (tree.token || tree.source.token);
+			case 'placeholder': // the invalid part of formula, as is
+				return tree.token || '';
+			case 'lambda': // params => right
+				var parameters = tree.params.map(this.format.bind(this));
+				return (parameters.length === 1 ? parameters[0] : '(' + parameters.join(', ') + ')') + ' ' + (tree.token || '=>') + ' ' + this.format(tree.right);
+			case 'ternary': // test token a separator b
+				return this.format(tree.params[0]) + ' ' + (tree.token || tree.source.token) + ' ' + this.format(tree.params[1]) + ' ' + tree.source.separator + ' ' + this.format(tree.params[2]);
 			case 'function': // token ( params )
 				return (tree.token || tree.source.token) + '(' + tree.params.map(this.format.bind(this)).join(', ') + ')';
 		}
 		throw Error('Invalid tree node kind ' + tree.kind, tree);
 	};
 
+	/** The LaTeX commands for binary and prefix operators that don't print as is */
+	var latexOperators = {
+		'*': '\\times', '%': '\\bmod', '<=': '\\leq', '>=': '\\geq', '==': '=', '!=': '\\neq', '===': '\\equiv', '!==': '\\not\\equiv',
+		'∈': '\\in', '&&': '\\land', '||': '\\lor', '!': '\\lnot ', '<<': '\\ll', '>>': '\\gg', '&': '\\&', '^': '\\oplus', '~': '\\sim ', '=>': '\\mapsto',
+		'in': '\\mathrel{\\text{in}}'
+	};
+
+	/** The MathML characters for binary and prefix operators that don't print as is */
+	var mathmlOperators = {
+		'*': '×', '<=': '≤', '>=': '≥', '!=': '≠', '===': '≡', '!==': '≢', '&&': '∧', '||': '∨', '!': '¬', '=>': '↦'
+	};
+
+	function latexEscape(text) {
+		return text.replace(/[\\{}$&#^_%~]/g, function(c) {
+			return c === '\\' ? '\\textbackslash{}' : c === '^' ? '\\^{}' : c === '~' ? '\\~{}' : '\\' + c;
+		});
+	}
+
+	/** The LaTeX command for the binary operator "token", where other words (like translated operators) are printed as text */
+	function latexOperator(token) {
+		return latexOperators[token] || (/^\w+$/.test(token) ? '\\mathrel{\\text{' + token + '}}' : latexEscape(token));
+	}
+
+	/** Escapes "text" inside "\text{}", where quotes and "<" or ">" would be printed as other characters */
+	function latexTextEscape(text) {
+		return latexEscape(text).replace(/["<>]/g, function(c) {
+			return c === '"' ? '\\textquotedbl{}' : c === '<' ? '\\textless{}' : '\\textgreater{}';
+		});
+	}
+
+	function xmlEscape(text) {
+		return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+	}
+
+	/** In LaTeX and MathML, fractions, exponents and square roots don't need parentheses around their operands, except the base of an exponent */
+	function latexDelimited(token) {
+		return token === '/' ? [-Infinity, -Infinity] : token === '**' ? [Infinity, -Infinity] : token === '√' ? [undefined, -Infinity] : undefined;
+	}
+
+	/**
+	 * The printers used by "prettyFormat", one method per element, called with the already printed sub-elements.
+	 * "delimited(token)" returns the minimum precedences of the operands of "token" when they are visually delimited (like in a fraction), or undefined.
+	 */
+	var prettyPrinters = {
+		text: {
+			group: function(a) { return '(' + a + ')'; },
+			constant: function(tree) { return tree.type.format(tree.value); },
+			literal: function(token) { return token; },
+			binary: function(token, a, b) { return token === '' ? a + ' ' + b : token === ',' ? a + ', ' + b : a + ' ' + token + ' ' + b; },
+			prefix: function(token, a) { return token + (/\w$/.test(token) ? ' ' : '') + a; },
+			postfix: function(token, a) { return a + token; },
+			ternary: function(token, separator, test, a, b) { return test + ' ' + token + ' ' + a + ' ' + separator + ' ' + b; },
+			func: function(token, params) { return token + '(' + params.join(', ') + ')'; },
+			array: function(params) { return '[' + params.join(', ') + ']'; },
+			index: function(a, index) { return a + '[' + index + ']'; },
+			slice: function(a, from, to) { return a + '[' + from + ':' + to + ']'; },
+			member: function(a, token) { return a + '.' + token; },
+			lambda: function(token, params, body) { return (params.length === 1 ? params[0] : '(' + params.join(', ') + ')') + ' ' + token + ' ' + body; },
+			placeholder: function(token) { return token; },
+			delimited: function() { return undefined; }
+		},
+		latex: {
+			group: function(a) { return '\\left(' + a + '\\right)'; },
+			constant: function(tree) {
+				var text = tree.type.format(tree.value);
+				return /^-?[\d.]+$/.test(text) ? text : '\\text{' + latexTextEscape(text) + '}';
+			},
+			literal: function(token) { return token.length === 1 ? latexEscape(token) : '\\mathrm{' + latexEscape(token) + '}'; },
+			binary: function(token, a, b) {
+				if (token === '/')
+					return '\\frac{' + a + '}{' + b + '}';
+				if (token === '**')
+					return a + '^{' + b + '}';
+				if (token === '' || token === ',')
+					return a + (token === '' ? '\\,' : ', ') + b;
+				return a + ' ' + latexOperator(token) + ' ' + b;
+			},
+			prefix: function(token, a) { return token === '√' ? '\\sqrt{' + a + '}' : (latexOperators[token] || latexEscape(token)) + a; },
+			postfix: function(token, a) { return token === '²' ? a + '^{2}' : token === '³' ? a + '^{3}' : a + latexEscape(token); },
+			ternary: function(token, separator, test, a, b) { return test + ' \\mathrel{' + latexEscape(token) + '} ' + a + ' \\mathrel{' + latexEscape(separator) + '} ' + b; },
+			func: function(token, params) { return '\\operatorname{' + latexEscape(token) + '}\\left(' + params.join(', ') + '\\right)'; },
+			array: function(params) { return '\\left[' + params.join(', ') + '\\right]'; },
+			index: function(a, index) { return a + '\\left[' + index + '\\right]'; },
+			slice: function(a, from, to) { return a + '\\left[' + from + ':' + to + '\\right]'; },
+			member: function(a, token) { return a + '.\\mathrm{' + latexEscape(token) + '}'; },
+			lambda: function(token, params, body) { return (params.length === 1 ? params[0] : '\\left(' + params.join(', ') + '\\right)') + ' ' + latexOperator(token) + ' ' + body; },
+			placeholder: function() { return '\\square'; },
+			delimited: latexDelimited
+		},
+		mathml: {
+			document: function(a) { return '<math xmlns="http://www.w3.org/1998/Math/MathML">' + a + '</math>'; },
+			group: function(a) { return '<mrow><mo>(</mo>' + a + '<mo>)</mo></mrow>'; },
+			constant: function(tree) {
+				var text = tree.type.format(tree.value);
+				// Negative numbers are printed as the "-" operator followed by the number
+				if (/^-[\d.]+$/.test(text))
+					return '<mrow><mo>-</mo><mn>' + text.substring(1) + '</mn></mrow>';
+				return /^[\d.]+$/.test(text) ? '<mn>' + text + '</mn>' : typeof tree.value === 'string' ? '<ms>' + xmlEscape(tree.value) + '</ms>' : '<mtext>' + xmlEscape(text) + '</mtext>';
+			},
+			literal: function(token) { return '<mi>' + xmlEscape(token) + '</mi>'; },
+			binary: function(token, a, b) {
+				if (token === '/')
+					return '<mfrac><mrow>' + a + '</mrow><mrow>' + b + '</mrow></mfrac>';
+				if (token === '**')
+					return '<msup><mrow>' + a + '</mrow><mrow>' + b + '</mrow></msup>';
+				// "&#x2062;" is the invisible times, like in "5 km"
+				return '<mrow>' + a + '<mo>' + (token === '' ? '&#x2062;' : xmlEscape(mathmlOperators[token] || token)) + '</mo>' + b + '</mrow>';
+			},
+			prefix: function(token, a) { return token === '√' ? '<msqrt>' + a + '</msqrt>' : '<mrow><mo>' + xmlEscape(mathmlOperators[token] || token) + '</mo>' + a + '</mrow>'; },
+			postfix: function(token, a) {
+				if (token === '²' || token === '³')
+					return '<msup><mrow>' + a + '</mrow><mn>' + (token === '²' ? 2 : 3) + '</mn></msup>';
+				return '<mrow>' + a + '<mo>' + xmlEscape(token) + '</mo></mrow>';
+			},
+			ternary: function(token, separator, test, a, b) { return '<mrow>' + test + '<mo>' + xmlEscape(token) + '</mo>' + a + '<mo>' + xmlEscape(separator) + '</mo>' + b + '</mrow>'; },
+			// "&#x2061;" is the invisible function application, like in "sin(x)"
+			func: function(token, params) { return '<mrow><mi>' + xmlEscape(token) + '</mi><mo>&#x2061;</mo><mrow><mo>(</mo>' + params.join('<mo>,</mo>') + '<mo>)</mo></mrow></mrow>'; },
+			array: function(params) { return '<mrow><mo>[</mo>' + params.join('<mo>,</mo>') + '<mo>]</mo></mrow>'; },
+			index: function(a, index) { return '<mrow>' + a + '<mo>[</mo>' + index + '<mo>]</mo></mrow>'; },
+			slice: function(a, from, to) { return '<mrow>' + a + '<mo>[</mo>' + from + '<mo>:</mo>' + to + '<mo>]</mo></mrow>'; },
+			member: function(a, token) { return '<mrow>' + a + '<mo>.</mo><mi>' + xmlEscape(token) + '</mi></mrow>'; },
+			lambda: function(token, params, body) {
+				var parameters = params.length === 1 ? params[0] : '<mrow><mo>(</mo>' + params.join('<mo>,</mo>') + '<mo>)</mo></mrow>';
+				return '<mrow>' + parameters + '<mo>' + xmlEscape(mathmlOperators[token] || token) + '</mo>' + body + '</mrow>';
+			},
+			placeholder: function() { return '<mi>□</mi>'; },
+			delimited: latexDelimited
+		}
+	};
+
+	/**
+	 * This method formats an AST like "format" but ignores the "grouping" nodes and only adds the parentheses needed by the operators' precedence and associativity.
+	 * This way, trees built by code are printed as they would be written, and they can also be printed as LaTeX or MathML to be pasted into reports :
+	 *
+	 * <code>
+	 * var ast = calculator.parse("((1 + 2)) * (3 / x) - (4 - 5)");
+	 * console.log(calculator.prettyFormat(ast)); // "(1 + 2) * (3 / x) - (4 - 5)"
+	 * console.log(calculator.prettyFormat(ast, 'latex')); // "\left(1 + 2\right) \times \frac{3}{x} - \left(4 - 5\right)"
+	 * </code>
+	 *
+	 * @param {Object} tree - the tree to format into a string
+	 * @param {String} mode - the output, 'text' (the default), 'latex' or 'mathml'
+	 */
+	Calculator.prototype.prettyFormat = function(tree, mode) {
+		var calculator = this, printer = prettyPrinters[mode || 'text'], comma = this.binaryOperators[','], minus = this.prefixOperators['-'];
+		if (!printer)
+			throw Error('Invalid format mode ' + mode);
+		// The precedence above every operator, for postfix operators, indexes, members and units that apply to the primary value before them
+		// and, just below, for delimited operators (like a LaTeX fraction) that only need parentheses before a postfix operator
+		var POSTFIX = Number.MAX_VALUE, DELIMITED = POSTFIX / 2;
+		// The parameters of functions, arrays and lambdas are separated by "," and need parentheses only below the precedence of ","
+		var separated = comma ? comma.precedence + 0.5 : -Infinity;
+		function tokenOf(tree) {
+			return tree.token || tree.source.token;
+		}
+		function precedence(tree, last) {
+			switch (tree.kind) {
+				case 'grouping':
+					return precedence(tree.left, last);
+				case 'binary':
+					return tree.token === '' ? POSTFIX : printer.delimited(tokenOf(tree)) ? DELIMITED : tree.source.precedence;
+				case 'prefix':
+				case 'ternary':
+					return tree.source.precedence;
+				case 'postfix':
+				case 'index':
+				case 'slice':
+				case 'member':
+					return POSTFIX;
+				case 'lambda':
+					// The body of a lambda extends as far as possible, so a lambda needs parentheses unless nothing follows it
+					return last ? Infinity : -Infinity;
+				case 'constant':
+					// A negative constant behaves like the prefix "-" (for instance, "(-2)²" is not "-2²")
+					return minus && /^-/.test(tree.type.format(tree.value)) ? minus.precedence : Infinity;
+			}
+			return Infinity;
+		}
+		// Prints "tree" where an operator of precedence "min" is expected, "last" telling if nothing follows "tree" up to the end of formula or to a separator
+		function print(tree, min, last) {
+			var grouped = precedence(tree, last) < min, inner = grouped || last, token, p, delimited, text;
+			switch (tree.kind) {
+				case 'grouping':
+					return print(tree.left, min, last);
+				case 'constant':
+					text = printer.constant(tree);
+					break;
+				case 'literal':
+					text = printer.literal(tokenOf(tree));
+					break;
+				case 'placeholder':
+					text = printer.placeholder(tree.token || '');
+					break;
+				case 'binary':
+					token = tree.token === '' ? '' : tokenOf(tree);
+					p = tree.source.precedence;
+					delimited = printer.delimited(token);
+					if (token === '')
+						text = printer.binary(token, print(tree.left, POSTFIX, false), print(tree.right, POSTFIX, inner));
+					else if (delimited)
+						text = printer.binary(token, print(tree.left, delimited[0], false), print(tree.right, delimited[1], true));
+					else if (tree.source.associativity === 'right')
+						text = printer.binary(token, print(tree.left, p + 0.5, false), print(tree.right, p, inner));
+					else
+						text = printer.binary(token, print(tree.left, p, false), print(tree.right, p + 0.5, inner));
+					break;
+				case 'prefix':
+					token = tokenOf(tree);
+					delimited = printer.delimited(token);
+					var right = delimited ? print(tree.right, delimited[1], true) : print(tree.right, tree.source.precedence, inner);
+					// Avoid printing a longer token, like "--x" for "-(-x)", checking the operand as printed in text (also in LaTeX and MathML)
+					var joined = token + (printer === prettyPrinters.text ? right : calculator.prettyFormat(tree.right)).charAt(0);
+					if (calculator.prefixOperators.hasOwnProperty(joined) || calculator.binaryOperators.hasOwnProperty(joined) || calculator.postfixOperators.hasOwnProperty(joined))
+						right = printer.group(print(tree.right, -Infinity, true));
+					text = printer.prefix(token, right);
+					break;
+				case 'postfix':
+					text = printer.postfix(tokenOf(tree), print(tree.left, POSTFIX, false));
+					break;
+				case 'index':
+					text = printer.index(print(tree.left, POSTFIX, false), print(tree.right, -Infinity, true));
+					break;
+				case 'slice':
+					text = printer.slice(print(tree.left, POSTFIX, false), tree.params[0] ? print(tree.params[0], -Infinity, true) : '', tree.params[1] ? print(tree.params[1], -Infinity, true) : '');
+					break;
+				case 'member':
+					text = printer.member(print(tree.left, POSTFIX, false), tokenOf(tree));
+					break;
+				case 'ternary':
+					p = tree.source.precedence;
+					text = printer.ternary(tokenOf(tree), tree.source.separator, print(tree.params[0], p + 0.5, false), print(tree.params[1], p, false), print(tree.params[2], p, inner));
+					break;
+				case 'lambda':
+					text = printer.lambda(tree.token || '=>', tree.params.map(function(param) { return print(param, separated, true); }), print(tree.right, separated, true));
+					break;
+				case 'array':
+					text = printer.array(tree.params.map(function(param) { return print(param, separated, true); }));
+					break;
+				case 'function':
+					text = printer.func(tokenOf(tree), tree.params.map(function(param) { return print(param, separated, true); }));
+					break;
+				default:
+					throw Error('Invalid tree node kind ' + tree.kind, tree);
+			}
+			return grouped ? printer.group(text) : text;
+		}
+		var result = print(tree, -Infinity, true);
+		return printer.document ? printer.document(result) : result;
+	};
+
 	/**
-	 * Helper method to add default type supports (null, boolean, date/times, numbers, ...)
+	 * Helper method to add default type supports (null, boolean, date/times, durations, numbers, ...)
+	 * Datetimes may end with an IANA time zone or an UTC offset, like "2018/04/13 13:50:42 Europe/Paris" or "2018/04/13 13:50:42 +02:00",
+	 * and local times skipped by daylight saving time changes (like "2018/03/25 02:30:00 Europe/Paris") are reported as errors.
 	 *
 	 * @param {Function(String)->String} lang - a function to allow translation
 	 * @param {moment} moment - the moment API (or moment.uct API), if available. If not, the 'date', 'time' and 'datetime' types won't be available
+	 * @param {moment.tz} tz - the moment-timezone API, if available. If not, only UTC offsets like "+02:00" can be used in datetimes
 	 */
-	Calculator.prototype.addDefaultTypes = function(lang, moment) {
+	Calculator.prototype.addDefaultTypes = function(lang, moment, tz) {
 		var calculator = this;
 		var nullToken = lang('null').toLowerCase();
 		var trueToken = lang('true').toLowerCase();
@@ -800,11 +2593,27 @@ function loadCalculatorAPI() {
 			return !v ? falseToken : trueToken;
 		});
 
+		// Time zones are either IANA names, like "Europe/Paris", or UTC offsets, like "+02:00" or "-05:30"
+		function parseOffset(zone) {
+			var match = /^([+-])(\d\d):(\d\d)$/.exec(zone);
+			if (match)
+				return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+		}
+		function formatOffset(offset) {
+			var minutes = Math.abs(offset);
+			return (offset < 0 ? '-' : '+') + ('0' + Math.floor(minutes / 60)).slice(-2) + ':' + ('0' + minutes % 60).slice(-2);
+		}
+		function findZone(name) {
+			return (typeof tz !== 'undefined' && tz.zone(name)) || undefined;
+		}
+
 		// Add support for dates, times or datetimes using moment
-		function addMoment(name, format, hasDate, hasTime) {
+		function addMoment(name, format, hasDate, hasTime, hasZone) {
 			var formatString = lang(format);
-			calculator.addType(name, function(t) {
-				var m = moment(t, formatString, true/*strict*/);
+			var type = calculator.addType(name, function(t) {
+				var match = hasZone && /^(.+) ([+-]\d\d:\d\d|[A-Za-z][\w+-]*(?:\/[\w+-]+)*)("?)$/.exec(t);
+				var zone = match && (parseOffset(match[2]) !== undefined ? match[2] : findZone(match[2]));
+				var m = moment(zone ? match[1] + match[3] : t, formatString, true/*strict*/);
 				if (m.isValid()) {
 					var r = {};
 					if (hasDate) {
@@ -817,50 +2626,836 @@ function loadCalculatorAPI() {
 						r.minute = m.minute();
 						r.second = m.second();
 					}
+					if (typeof zone === 'string')
+						r.offset = parseOffset(zone);
+					else if (zone) {
+						r.zone = zone.name;
+						// Local times skipped by daylight saving time changes are rejected, like "2018/03/25 02:30:00 Europe/Paris"
+						var time = dateValueToTime(r), offset = -zone.parse(time);
+						if (-zone.utcOffset(time - offset * 60000) !== offset)
+							throw new CalculatorError(undefined, undefined, 0, 'Time "%1" does not exist in time zone "%2" at position %0', [match[1].replace(/^"/, ''), zone.name]);
+					}
 					return r;
 				}
 			}, function(v) {
-				return moment(v).format(formatString);
+				var s = moment(v).format(formatString);
+				var zone = (v.zone !== undefined) ? v.zone : (v.offset !== undefined) ? formatOffset(v.offset) : undefined;
+				if (zone === undefined)
+					return s;
+				// The zone is added at the end, before the closing quote
+				return /"$/.test(s) ? s.substring(0, s.length - 1) + ' ' + zone + '"' : s + ' ' + zone;
 			});
+			if (hasZone) {
+				/** @returns the UTC offset in minutes of the datetime value "value" (0 for datetimes without zone, handled as UTC) */
+				type.offset = function(value) {
+					var z = (value.zone !== undefined) && findZone(value.zone);
+					return z ? -z.parse(dateValueToTime(value)) : (value.offset || 0);
+				};
+				/** @returns the datetime value "value" converted to the time zone "zone" (IANA name or offset like "+02:00"), or undefined if the zone is unknown */
+				type.toZone = function(value, zone) {
+					var time = dateValueToTime(value) - type.offset(value) * 60000;
+					var z = findZone(zone), offset = z ? -z.utcOffset(time) : parseOffset(zone);
+					if (offset === undefined)
+						return undefined;
+					var r = dateValueFromTime(time + offset * 60000, true, true);
+					if (z)
+						r.zone = z.name;
+					else
+						r.offset = offset;
+					return r;
+				};
+			}
+		}
+		if (typeof moment !== 'undefined') {
+			addMoment('datetime', '"YYYY/MM/DD HH:mm:ss"', true, true, true);
+			addMoment('date', '"YYYY/MM/DD"', true, false, false);
+			addMoment('time', '"HH:mm:ss"', false, true, false);
+		}
+
+		// Add support for durations, like "3d", "2h30m" or "P1M"
+		calculator.addType('duration', function(t) {
+			return CalculatorDuration.parse(t);
+		}, function(v) {
+			return v.toString();
+		});
+
+		// Add support for strings AFTER date/time because they are a special kind of strings
+		// Quotes and backslashes before a quote, a backslash or the end are escaped with a backslash, like "say \"hello\"", other backslashes are kept, like "\d+"
+		calculator.addType('string', function(token) {
+			if (token.length >= 2 && token[0] === '"' && token[token.length - 1] === '"')
+				return token.substring(1, token.length - 1).replace(/\\(["\\])/g, '$1');
+		}, function(value) {
+			return '"' + value.replace(/\\(?=["\\]|$)|"/g, '\\$&') + '"';
+		});
+
+		// Add support for different number notations using rational expression
+		function addRegExp(name, regexp, parse, format) {
+			calculator.addType(name, function(token) {
+				if (regexp.test(token))
+					return parse(token);
+			}, function(value) {
+				return format(value);
+			});
+		}
+		addRegExp('hexadecimal', /^0x[0-9a-fA-F]+$/,
+				function(token) { return parseInt(token.substring(2), 16); },
+				function(value) { return (value < 0 ? '-0x' : '0x') + Math.abs(value).toString(16); });
+		addRegExp('octal', /^0o[0-7]+$/,
+				function(token) { return parseInt(token.substring(2), 8); },
+				function(value) { return (value < 0 ? '-0o' : '0o') + Math.abs(value).toString(8); });
+		addRegExp('binary', /^0b[0-1]+$/,
+				function(token) { return parseInt(token.substring(2), 2); },
+				function(value) { return (value < 0 ? '-0b' : '0b') + Math.abs(value).toString(2); });
+		addRegExp('float', /^\d*\.\d+$/,
+				function(token) { return parseFloat(token); },
+				function(value) { return value.toString(); });
+		addRegExp('integer', /^\d+$/,
+				function(token) { return parseInt(token); },
+				function(value) { return value.toFixed(0); });
+		// Numbers, in any notation, are grouped for typed signatures (see CalculatorFunction.typed)
+		calculator.addTypeGroup('number', ['hexadecimal', 'octal', 'binary', 'float', 'integer']);
+	};
+
+	/**
+	 * Helper method to add the optional "decimal" type, where numbers are exact decimal values (0.1 + 0.2 gives 0.3 and not 0.30000000000000004).
+	 * Numbers in formulas are then parsed as decimals and the arithmetic (+ - * / % **), comparison (== != === !== < > <= >=)
+	 * and unary (- + ² ³) operators are overloaded to calculate exactly on decimals, mixed with other numbers if needed.
+	 * The other functions and operators (like "sqrt" or "min") use decimals as numbers and conditions consider "0.0" as false.
+	 * The precision (in significant digits) and the rounding mode can be changed later using the "precision" and "rounding" members of the returned type.
+	 * NB: this method should be called after "addDefaultTypes", "addDefaultFunctions" and "addDefaultOperators"
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 * @param {Object} options - the optional { precision, rounding } settings, 34 and 'half-even' by default (see CalculatorDecimal.roundings)
+	 * @return {CalculatorType} the "decimal" type
+	 */
+	Calculator.prototype.addDecimalType = function(lang, options) {
+		var calculator = this;
+		var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
+		var booleanType = calculator.types.filter(function(t) { return t.name === 'boolean'; })[0];
+		var decimalType = new CalculatorType('decimal', function(token) {
+			if (/^(\d+|\d*\.\d+)$/.test(token))
+				return CalculatorDecimal.parse(token);
+		}, function(value) {
+			return value.toString();
+		});
+		decimalType.precision = (options && options.precision) || 34;
+		decimalType.rounding = (options && options.rounding) || 'half-even';
+		// Numbers have to be parsed as decimals, so the type is registered before the "float" and "integer" types
+		var index = calculator.types.indexOf(floatType);
+		calculator.types.splice(index >= 0 ? index : calculator.types.length, 0, decimalType);
+		calculator.addTypeGroup('number', ['decimal']);
+
+		function isDecimal(value) {
+			return value instanceof CalculatorDecimal;
+		}
+		function isNumeric(value) {
+			return isDecimal(value) || (typeof value === 'number' && isFinite(value));
+		}
+		function toDecimal(value) {
+			return (value instanceof CalculatorDecimal) ? value : CalculatorDecimal.fromNumber(value);
+		}
+		// Operations are used with decimals, possibly mixed with other numbers, like in "0.1 + sqrt(2)"
+		function accept(context, a, b) {
+			var values = [a].concat(b ? [b] : []).map(function(p) { return p.getValue(context); });
+			return values.some(function(v) { return v instanceof CalculatorDecimal; }) && values.every(isNumeric);
+		}
+		function overload(operators, token, acceptOperands, calculate) {
+			var operator = operators[lang(token).toLowerCase()];
+			if (operator)
+				operator.overload(acceptOperands, calculate);
+		}
+		function decimal(calculate) {
+			return function(context, resolve, reject, a, b) {
+				var result = calculate(toDecimal(a.getValue(context)), b && toDecimal(b.getValue(context)));
+				resolve(CalculatorTree.newConstant(decimalType, result.round(decimalType.precision, decimalType.rounding), undefined));
+			};
+		}
+		function division(calculate) {
+			return function(context, resolve, reject, a, b) {
+				var divisor = toDecimal(b.getValue(context));
+				if (divisor.isZero())
+					reject(new CalculatorError(undefined, undefined, 0, 'Division by zero'));
+				else
+					resolve(CalculatorTree.newConstant(decimalType, calculate(toDecimal(a.getValue(context)), divisor), undefined));
+			};
+		}
+		function comparison(test) {
+			return function(context, resolve, reject, a, b) {
+				resolve(CalculatorTree.newConstant(booleanType, test(toDecimal(a.getValue(context)).compare(toDecimal(b.getValue(context)))), undefined));
+			};
+		}
+
+		// Other functions and operators use numbers instead of decimals, like "min(0.1, 0.2)" or "sqrt(0.5)"
+		overloadConversion(calculator, isDecimal, function(value) {
+			return CalculatorTree.newConstant(floatType, Number(value.toString()), undefined);
+		});
+
+		overload(calculator.binaryOperators, '+', accept, decimal(function(a, b) { return a.add(b); }));
+		overload(calculator.binaryOperators, '-', accept, decimal(function(a, b) { return a.subtract(b); }));
+		overload(calculator.binaryOperators, '*', accept, decimal(function(a, b) { return a.multiply(b); }));
+		overload(calculator.binaryOperators, '/', accept, division(function(a, b) { return a.divide(b, decimalType.precision, decimalType.rounding); }));
+		overload(calculator.binaryOperators, '%', accept, division(function(a, b) { return a.remainder(b); }));
+		// Integer powers are calculated exactly, other powers fall back to the "float" calculation
+		overload(calculator.binaryOperators, '**', function(context, a, b) {
+			var n = b.getValue(context);
+			return accept(context, a, b) && toDecimal(n).isInteger() && Math.abs(n) <= 10000;
+		}, function(context, resolve, reject, a, b) {
+			// Zero has no negative power, like "0 ** -1"
+			if (toDecimal(a.getValue(context)).isZero() && Number(b.getValue(context).toString()) < 0)
+				reject(new CalculatorError(undefined, undefined, 0, 'Division by zero'));
+			else
+				decimal(function(a, b) { return a.pow(Number(b.toString()), decimalType.precision, decimalType.rounding); })(context, resolve, reject, a, b);
+		});
+		overload(calculator.binaryOperators, '==', accept, comparison(function(c) { return c === 0; }));
+		overload(calculator.binaryOperators, '===', accept, comparison(function(c) { return c === 0; }));
+		overload(calculator.binaryOperators, '!=', accept, comparison(function(c) { return c !== 0; }));
+		overload(calculator.binaryOperators, '!==', accept, comparison(function(c) { return c !== 0; }));
+		overload(calculator.binaryOperators, '<', accept, comparison(function(c) { return c < 0; }));
+		overload(calculator.binaryOperators, '>', accept, comparison(function(c) { return c > 0; }));
+		overload(calculator.binaryOperators, '<=', accept, comparison(function(c) { return c <= 0; }));
+		overload(calculator.binaryOperators, '>=', accept, comparison(function(c) { return c >= 0; }));
+		overload(calculator.prefixOperators, '-', accept, decimal(function(a) { return a.negate(); }));
+		overload(calculator.prefixOperators, '+', accept, decimal(function(a) { return a; }));
+		overload(calculator.postfixOperators, '²', accept, decimal(function(a) { return a.multiply(a); }));
+		overload(calculator.postfixOperators, '³', accept, decimal(function(a) { return a.multiply(a).multiply(a); }));
+		return decimalType;
+	};
+
+	/**
+	 * Helper method to overload every function and operator of "calculator" having a "calculate" method, so that the values matching "test"
+	 * are converted by "convert(value)" into constant trees before calculation, using the usual "calculate" method or another overload.
+	 * This is used by optional types, for instance to use decimal values as numbers in functions like "sqrt".
+	 */
+	function overloadConversion(calculator, test, convert) {
+		function accept(context) {
+			return Array.prototype.slice.call(arguments, 1).some(function(p) { return test(p.getValue(context)); });
+		}
+		function converted(source) {
+			return function(context, resolve, reject) {
+				var params = Array.prototype.slice.call(arguments, 3).map(function(p) {
+					var value = p.getValue(context);
+					return test(value) ? convert(value) : p;
+				});
+				overloadedCalculate(source, source.calculate, context, params).apply(null, [context, resolve, reject].concat(params));
+			};
+		}
+		[calculator.functions, calculator.prefixOperators, calculator.postfixOperators, calculator.binaryOperators].forEach(function(map) {
+			for (var token in map) {
+				if (map[token].calculate)
+					map[token].overload(accept, converted(map[token]));
+			}
+		});
+	}
+
+	/**
+	 * Helper method to add the optional "programmer" mode, where hexadecimal, octal and binary numbers are BigInt values limited to a word size,
+	 * like in a programmer's calculator (0xFFFFFFFF | 0 gives 0xffffffff and 64-bit masks can be used) :
+	 * - the "hexadecimal", "octal" and "binary" types parse and format BigInt values, truncated to "wordSize" bits as signed or unsigned values
+	 * - the bitwise (| ^ & ~), shift (<< >> >>>), arithmetic (+ - * / % ** and unary - +) and comparison operators calculate on BigInt values,
+	 *   mixed with integers if needed, and the result is truncated to "wordSize" bits
+	 * - the other functions and operators (like "sqrt", "²" or "!") and operations mixing BigInt and non-integer values convert BigInt values to numbers
+	 * - the "hex", "oct", "bin" and "dec" functions convert an integer from a notation to another
+	 * The returned settings { wordSize, signed } can be changed later, for instance to switch between signed and unsigned views.
+	 * NB: this method should be called after "addDefaultTypes", "addDefaultFunctions" and "addDefaultOperators" and BigInt must be supported by the browser
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 * @param {Object} options - the optional { wordSize, signed } settings, 64 and true by default (usual word sizes are 8, 16, 32 or 64 bits)
+	 * @return {Object} the settings
+	 * @throws {Error} if the word size is not a positive integer
+	 */
+	Calculator.prototype.addProgrammerMode = function(lang, options) {
+		var calculator = this;
+		var settings = { wordSize: (options && options.wordSize !== undefined) ? options.wordSize : 64, signed: !(options && options.signed === false) };
+		if (typeof settings.wordSize !== 'number' || settings.wordSize <= 0 || Math.floor(settings.wordSize) !== settings.wordSize)
+			throw Error('Invalid word size ' + settings.wordSize);
+		var booleanType = calculator.types.filter(function(t) { return t.name === 'boolean'; })[0];
+		var integerType = calculator.types.filter(function(t) { return t.name === 'integer'; })[0];
+		var programmerTypes = {};
+
+		function isBigInt(value) {
+			return Object.prototype.toString.call(value) === '[object BigInt]';
+		}
+		function isInteger(value) {
+			return isBigInt(value) || (typeof value === 'number' && isFinite(value) && Math.floor(value) === value);
+		}
+		function wrap(value) {
+			return settings.signed ? BigInt.asIntN(settings.wordSize, value) : BigInt.asUintN(settings.wordSize, value);
+		}
+		// Shift counts are limited to the word size (shifting more gives the same result) to avoid huge BigInt values
+		function shift(count) {
+			var max = BigInt(settings.wordSize);
+			return count > max ? max : count < -max ? -max : count;
+		}
+
+		// Hexadecimal, octal and binary notations are now parsed as BigInt values
+		[['hexadecimal', '0x', 16], ['octal', '0o', 8], ['binary', '0b', 2]].forEach(function(notation) {
+			var type = calculator.types.filter(function(t) { return t.name === notation[0]; })[0];
+			if (!type)
+				return;
+			var parse = type.parse, format = type.format;
+			type.parse = function(token) {
+				if (parse(token) !== undefined)
+					return wrap(BigInt(notation[1] + token.substring(2)));
+			};
+			type.format = function(value) {
+				if (!isBigInt(value))
+					return format(value);
+				value = wrap(value);
+				return (value < 0 ? '-' + notation[1] : notation[1]) + (value < 0 ? -value : value).toString(notation[2]);
+			};
+			programmerTypes[notation[0]] = type;
+		});
+
+		// Other functions and operators use numbers instead of BigInt values
+		overloadConversion(calculator, isBigInt, function(value) {
+			return CalculatorTree.newConstant(integerType, Number(value), undefined);
+		});
+
+		// Operations on BigInt values, possibly mixed with integers, calculate on BigInt values
+		function acceptIntegers(context, a, b) {
+			var values = [a].concat(b ? [b] : []).map(function(p) { return p.getValue(context); });
+			return values.some(isBigInt) && values.every(isInteger);
+		}
+		function resultType(a, b) {
+			for (var name in programmerTypes) {
+				if (programmerTypes[name] === a.getType())
+					return a.getType();
+			}
+			return b.getType();
+		}
+		// "isDivisionByZero(x, y)" tells if the operation divides by zero, like "x / 0"
+		function integers(calculate, isDivisionByZero) {
+			return function(context, resolve, reject, a, b) {
+				var x = BigInt(a.getValue(context)), y = b && BigInt(b.getValue(context));
+				if (isDivisionByZero && isDivisionByZero(x, y))
+					reject(new CalculatorError(undefined, undefined, 0, 'Division by zero'));
+				else
+					resolve(CalculatorTree.newConstant(resultType(a, b), wrap(calculate(x, y)), undefined));
+			};
+		}
+		function comparison(test) {
+			return function(context, resolve, reject, a, b) {
+				var x = BigInt(a.getValue(context)), y = BigInt(b.getValue(context));
+				resolve(CalculatorTree.newConstant(booleanType, test(x, y), undefined));
+			};
+		}
+		function overload(operators, token, calculate) {
+			var operator = operators[lang(token).toLowerCase()];
+			if (operator)
+				operator.overload(acceptIntegers, calculate);
+		}
+		overload(calculator.binaryOperators, '|', integers(function(a, b) { return a | b; }));
+		overload(calculator.binaryOperators, '^', integers(function(a, b) { return a ^ b; }));
+		overload(calculator.binaryOperators, '&', integers(function(a, b) { return a & b; }));
+		overload(calculator.binaryOperators, '<<', integers(function(a, b) { return a << shift(b); }));
+		// ">>" extends the sign of signed values only and ">>>" always shifts zeros in
+		overload(calculator.binaryOperators, '>>', integers(function(a, b) { return wrap(a) >> shift(b); }));
+		overload(calculator.binaryOperators, '>>>', integers(function(a, b) { return BigInt.asUintN(settings.wordSize, a) >> shift(b); }));
+		overload(calculator.binaryOperators, '+', integers(function(a, b) { return a + b; }));
+		overload(calculator.binaryOperators, '-', integers(function(a, b) { return a - b; }));
+		overload(calculator.binaryOperators, '*', integers(function(a, b) { return a * b; }));
+		function isZeroDivisor(a, b) {
+			return b === BigInt(0);
+		}
+		overload(calculator.binaryOperators, '/', integers(function(a, b) { return a / b; }, isZeroDivisor));
+		overload(calculator.binaryOperators, '%', integers(function(a, b) { return a % b; }, isZeroDivisor));
+		overload(calculator.binaryOperators, '**', integers(function(a, b) {
+			var result = BigInt(1), two = BigInt(2);
+			// Negative exponents give an integer division, like 1 / 2 gives 0, except for 1 and -1 (like -1 ** -2 giving 1)
+			if (b < 0)
+				return (a === BigInt(1) || a === BigInt(-1)) ? (b % two === BigInt(0) ? BigInt(1) : a) : BigInt(0);
+			while (b > 0) {
+				if (b % two === BigInt(1))
+					result = wrap(result * a);
+				a = wrap(a * a);
+				b = b / two;
+			}
+			return result;
+		}, function(a, b) {
+			// Like 1 / 0
+			return a === BigInt(0) && b < 0;
+		}));
+		overload(calculator.binaryOperators, '==', comparison(function(a, b) { return a === b; }));
+		overload(calculator.binaryOperators, '===', comparison(function(a, b) { return a === b; }));
+		overload(calculator.binaryOperators, '!=', comparison(function(a, b) { return a !== b; }));
+		overload(calculator.binaryOperators, '!==', comparison(function(a, b) { return a !== b; }));
+		overload(calculator.binaryOperators, '<', comparison(function(a, b) { return a < b; }));
+		overload(calculator.binaryOperators, '>', comparison(function(a, b) { return a > b; }));
+		overload(calculator.binaryOperators, '<=', comparison(function(a, b) { return a <= b; }));
+		overload(calculator.binaryOperators, '>=', comparison(function(a, b) { return a >= b; }));
+		overload(calculator.prefixOperators, '~', integers(function(a) { return ~a; }));
+		overload(calculator.prefixOperators, '-', integers(function(a) { return -a; }));
+		overload(calculator.prefixOperators, '+', integers(function(a) { return a; }));
+
+		// Conversion functions, from an integer notation to another
+		function addConversion(token, type) {
+			calculator.addFunction(lang(token), lang('x'), undefined, function(context, resolve, reject, x) {
+				var value = x.getValue(context);
+				if (!isBigInt(value) && typeof value !== 'number')
+					reject(new CalculatorError(undefined, undefined, 0, 'Number expected but found "%0"', [calculator.format(x)]));
+				else if (!isBigInt(value) && !isFinite(value))
+					resolve(CalculatorTree.newConstant(x.getType(), value, undefined));
+				else if (type === integerType)
+					resolve(CalculatorTree.newConstant(type, Number(value), undefined));
+				else
+					resolve(CalculatorTree.newConstant(type, wrap(BigInt(isBigInt(value) ? value : Math.trunc(value))), undefined));
+			}).typed(type.name, ['number']);
+		}
+		addConversion('hex', programmerTypes.hexadecimal);
+		addConversion('oct', programmerTypes.octal);
+		addConversion('bin', programmerTypes.binary);
+		addConversion('dec', integerType);
+		return settings;
+	};
+
+	/**
+	 * Helper method to add the optional "complex" type, for complex numbers like "3 + 4i" :
+	 * - the "complex" type understands imaginary numbers like "4i", "2.5i" or "i" (the imaginary unit)
+	 * - the arithmetic (+ - * / ** and unary - + ² ³) and equality (== != === !==) operators accept complex numbers, mixed with other numbers if needed
+	 * - the "sqrt", "exp", "log", "abs" and trigonometric functions accept complex numbers, as well as negative numbers for "sqrt" and "log" (sqrt(-1) gives i)
+	 *   and numbers outside [-1, 1] for "asin" and "acos"
+	 * - the "re", "im", "arg" and "conj" functions give the real part, the imaginary part, the argument and the conjugate of a complex number
+	 * Complex results with a null imaginary part are simplified to "float" values (i ** 2 gives -1).
+	 * NB: this method should be called after "addDefaultTypes", "addDefaultFunctions" and "addDefaultOperators"
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 * @return {CalculatorType} the "complex" type
+	 */
+	Calculator.prototype.addComplexType = function(lang) {
+		var calculator = this;
+		var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
+		var booleanType = calculator.types.filter(function(t) { return t.name === 'boolean'; })[0];
+		var complexType = calculator.addType('complex', function(token) {
+			var m = /^(\d+|\d*\.\d+)?i$/.exec(token);
+			if (m)
+				return new CalculatorComplex(0, m[1] ? parseFloat(m[1]) : 1);
+		}, function(value) {
+			return value.toString();
+		});
+		calculator.addTypeGroup('number', ['complex']);
+
+		function isNumeric(value) {
+			return (value instanceof CalculatorComplex) || (value instanceof CalculatorDecimal) || (typeof value === 'number');
+		}
+		function toComplex(value) {
+			return (value instanceof CalculatorComplex) ? value : new CalculatorComplex(Number(value), 0);
+		}
+		// Operations are used with complex numbers, possibly mixed with other numbers, like in "3 + 4i"
+		function accept(context) {
+			var values = Array.prototype.slice.call(arguments, 1).map(function(p) { return p.getValue(context); });
+			return values.some(function(v) { return v instanceof CalculatorComplex; }) && values.every(isNumeric);
+		}
+		// Some functions also give complex results for negative numbers, like "sqrt(-1)", or outside [-1, 1], like "asin(2)"
+		function acceptNegative(context, x) {
+			var value = x.getValue(context);
+			return accept(context, x) || (isNumeric(value) && Number(value) < 0);
+		}
+		function acceptOutOfUnit(context, x) {
+			var value = x.getValue(context);
+			return accept(context, x) || (isNumeric(value) && Math.abs(Number(value)) > 1);
+		}
+		function result(value) {
+			if (value.im === 0)
+				return CalculatorTree.newConstant(floatType, value.re, undefined);
+			return CalculatorTree.newConstant(complexType, value, undefined);
+		}
+		function complex(calculate) {
+			return function(context, resolve, reject, a, b) {
+				resolve(result(calculate(toComplex(a.getValue(context)), b && toComplex(b.getValue(context)))));
+			};
+		}
+		function overload(operators, token, acceptParams, calculate) {
+			var entry = operators[lang(token).toLowerCase()];
+			if (entry)
+				entry.overload(acceptParams, calculate);
+		}
+		function equality(test) {
+			return function(context, resolve, reject, a, b) {
+				resolve(CalculatorTree.newConstant(booleanType, test(toComplex(a.getValue(context)).equals(toComplex(b.getValue(context)))), undefined));
+			};
+		}
+
+		overload(calculator.binaryOperators, '+', accept, complex(function(a, b) { return a.add(b); }));
+		overload(calculator.binaryOperators, '-', accept, complex(function(a, b) { return a.subtract(b); }));
+		overload(calculator.binaryOperators, '*', accept, complex(function(a, b) { return a.multiply(b); }));
+		overload(calculator.binaryOperators, '/', accept, function(context, resolve, reject, a, b) {
+			var divisor = toComplex(b.getValue(context));
+			if (divisor.re === 0 && divisor.im === 0)
+				reject(new CalculatorError(undefined, undefined, 0, 'Division by zero'));
+			else
+				resolve(result(toComplex(a.getValue(context)).divide(divisor)));
+		});
+		// Zero to a negative power is also rejected for numbers, because complex results with no imaginary part are numbers (like "-1 + 0i")
+		function acceptPower(context, a, b) {
+			var x = a.getValue(context), y = b.getValue(context);
+			return accept(context, a, b) || (isNumeric(x) && isNumeric(y) && Number(x) === 0 && Number(y) < 0);
+		}
+		overload(calculator.binaryOperators, '**', acceptPower, function(context, resolve, reject, a, b) {
+			var base = toComplex(a.getValue(context)), exponent = toComplex(b.getValue(context));
+			// Like 1 / 0
+			if (base.re === 0 && base.im === 0 && exponent.re < 0)
+				reject(new CalculatorError(undefined, undefined, 0, 'Division by zero'));
+			else
+				resolve(result(base.pow(exponent)));
+		});
+		overload(calculator.binaryOperators, '==', accept, equality(function(equals) { return equals; }));
+		overload(calculator.binaryOperators, '===', accept, equality(function(equals) { return equals; }));
+		overload(calculator.binaryOperators, '!=', accept, equality(function(equals) { return !equals; }));
+		overload(calculator.binaryOperators, '!==', accept, equality(function(equals) { return !equals; }));
+		overload(calculator.prefixOperators, '-', accept, complex(function(a) { return a.negate(); }));
+		overload(calculator.prefixOperators, '+', accept, complex(function(a) { return a; }));
+		overload(calculator.prefixOperators, '√', acceptNegative, complex(function(a) { return a.sqrt(); }));
+		overload(calculator.postfixOperators, '²', accept, complex(function(a) { return a.multiply(a); }));
+		overload(calculator.postfixOperators, '³', accept, complex(function(a) { return a.multiply(a).multiply(a); }));
+		overload(calculator.functions, 'sqrt', acceptNegative, complex(function(z) { return z.sqrt(); }));
+		overload(calculator.functions, 'log', acceptNegative, complex(function(z) { return z.log(); }));
+		'exp,cos,sin,tan,atan'.split(',').forEach(function(token) {
+			overload(calculator.functions, token, accept, complex(function(z) { return z[token](); }));
+		});
+		'acos,asin'.split(',').forEach(function(token) {
+			overload(calculator.functions, token, acceptOutOfUnit, complex(function(z) { return z[token](); }));
+		});
+		overload(calculator.functions, 'abs', accept, function(context, resolve, reject, z) {
+			resolve(CalculatorTree.newConstant(floatType, z.getValue(context).abs(), undefined));
+		});
+
+		// "calculate(z)" gives the result tree for the complex number of "z", or the parameter is rejected if it is not a number (like "re("a")")
+		function addPart(token, calculate) {
+			return calculator.addFunction(lang(token), lang('z'), undefined, function(context, resolve, reject, z) {
+				var value = z.getValue(context);
+				if (value instanceof CalculatorComplex || (calculator.typeGroups.number.indexOf(z.getType().name) >= 0 && (typeof value === 'number' || !isNaN(Number(value)))))
+					resolve(calculate(toComplex(value)));
+				else
+					reject(new CalculatorError(undefined, undefined, 0, 'Number expected but found "%0"', [calculator.format(z)]));
+			});
+		}
+		addPart('re', function(z) { return CalculatorTree.newConstant(floatType, z.re, undefined); }).typed('float', ['number']);
+		addPart('im', function(z) { return CalculatorTree.newConstant(floatType, z.im, undefined); }).typed('float', ['number']);
+		addPart('arg', function(z) { return CalculatorTree.newConstant(floatType, z.arg(), undefined); }).typed('float', ['number']);
+		addPart('conj', function(z) { return result(z.conj()); }).typed('number', ['number']);
+		return complexType;
+	};
+
+	/**
+	 * Helper method to add the optional "fraction" type, to calculate exactly with rational numbers (1/3 * 3 gives 1 and 2/3 is displayed as "2/3") :
+	 * - when the mode is enabled, the "/" operator gives a fraction when both operands are integers (or fractions)
+	 * - the arithmetic (+ - * / % ** and unary - + ² ³) and comparison (== != === !== < > <= >=) operators keep fractions exact, when mixed with integers
+	 * - the other functions and operators (like "sqrt") and operations mixing fractions and non-integer values convert fractions to numbers
+	 * - the "num", "den" and "tofloat" functions give the numerator, the denominator and the approximate value of a fraction
+	 * Fractions with a denominator of 1 are simplified to "integer" values (1/3 * 3 gives 1).
+	 * The mode can be disabled or enabled later using the "enabled" member of the returned type.
+	 * NB: this method should be called after "addDefaultTypes", "addDefaultFunctions" and "addDefaultOperators" and BigInt must be supported by the browser
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 * @return {CalculatorType} the "fraction" type
+	 */
+	Calculator.prototype.addFractionType = function(lang) {
+		var calculator = this;
+		var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
+		var booleanType = calculator.types.filter(function(t) { return t.name === 'boolean'; })[0];
+		var integerType = calculator.types.filter(function(t) { return t.name === 'integer'; })[0];
+		// Fractions are written as divisions, so the type does not parse any token
+		var fractionType = calculator.addType('fraction', function(token) {
+			return undefined;
+		}, function(value) {
+			return value.toString();
+		});
+		calculator.addTypeGroup('number', ['fraction']);
+		fractionType.enabled = true;
+
+		function isFraction(value) {
+			return value instanceof CalculatorFraction;
+		}
+		function isInteger(value) {
+			return isFraction(value) || (typeof value === 'number' && isFinite(value) && Math.floor(value) === value);
+		}
+		function toFraction(value) {
+			return isFraction(value) ? value : CalculatorFraction.fromInteger(value);
+		}
+		// Numbers written with a decimal point or an exponent (like "4.0") stay floats, unlike integer results of operations (like "2 * 2")
+		function isFloatLiteral(tree) {
+			return tree.kind === 'constant' && tree.type === floatType && tree.token !== undefined;
+		}
+		function result(value) {
+			if (value.isInteger())
+				return CalculatorTree.newConstant(integerType, Number(value.numerator), undefined);
+			return CalculatorTree.newConstant(fractionType, value, undefined);
+		}
+
+		// Other functions and operators use numbers instead of fractions
+		overloadConversion(calculator, isFraction, function(value) {
+			return CalculatorTree.newConstant(floatType, value.toNumber(), undefined);
+		});
+
+		// Operations on fractions, possibly mixed with integers, are exact
+		function accept(context) {
+			var operands = Array.prototype.slice.call(arguments, 1), values = operands.map(function(p) { return p.getValue(context); });
+			return fractionType.enabled && values.some(isFraction) && values.every(isInteger) && !operands.some(isFloatLiteral);
+		}
+		function acceptDivision(context, a, b) {
+			return fractionType.enabled && isInteger(a.getValue(context)) && isInteger(b.getValue(context)) && !isFloatLiteral(a) && !isFloatLiteral(b);
+		}
+		function fraction(calculate) {
+			return function(context, resolve, reject, a, b) {
+				resolve(result(calculate(toFraction(a.getValue(context)), b && toFraction(b.getValue(context)))));
+			};
+		}
+		function division(calculate) {
+			return function(context, resolve, reject, a, b) {
+				var divisor = toFraction(b.getValue(context));
+				if (divisor.isZero())
+					reject(new CalculatorError(undefined, undefined, 0, 'Division by zero'));
+				else
+					resolve(result(calculate(toFraction(a.getValue(context)), divisor)));
+			};
+		}
+		function comparison(test) {
+			return function(context, resolve, reject, a, b) {
+				resolve(CalculatorTree.newConstant(booleanType, test(toFraction(a.getValue(context)).compare(toFraction(b.getValue(context)))), undefined));
+			};
+		}
+		function overload(operators, token, acceptOperands, calculate) {
+			var operator = operators[lang(token).toLowerCase()];
+			if (operator)
+				operator.overload(acceptOperands, calculate);
+		}
+		overload(calculator.binaryOperators, '+', accept, fraction(function(a, b) { return a.add(b); }));
+		overload(calculator.binaryOperators, '-', accept, fraction(function(a, b) { return a.subtract(b); }));
+		overload(calculator.binaryOperators, '*', accept, fraction(function(a, b) { return a.multiply(b); }));
+		overload(calculator.binaryOperators, '/', acceptDivision, division(function(a, b) { return a.divide(b); }));
+		overload(calculator.binaryOperators, '%', accept, division(function(a, b) { return a.remainder(b); }));
+		// Integer powers are exact, including negative powers of integers (2 ** -1 gives 1/2), other powers use numbers
+		overload(calculator.binaryOperators, '**', function(context, a, b) {
+			var x = a.getValue(context), n = b.getValue(context);
+			return fractionType.enabled && isInteger(x) && typeof n === 'number' && isInteger(n) && Math.abs(n) <= 1000 && !isFloatLiteral(a) && !isFloatLiteral(b)
+				&& (isFraction(x) || n < 0) && (n >= 0 || Number(toFraction(x).numerator) !== 0);
+		}, fraction(function(a, b) { return a.pow(Number(b.numerator)); }));
+		overload(calculator.binaryOperators, '==', accept, comparison(function(c) { return c === 0; }));
+		overload(calculator.binaryOperators, '===', accept, comparison(function(c) { return c === 0; }));
+		overload(calculator.binaryOperators, '!=', accept, comparison(function(c) { return c !== 0; }));
+		overload(calculator.binaryOperators, '!==', accept, comparison(function(c) { return c !== 0; }));
+		overload(calculator.binaryOperators, '<', accept, comparison(function(c) { return c < 0; }));
+		overload(calculator.binaryOperators, '>', accept, comparison(function(c) { return c > 0; }));
+		overload(calculator.binaryOperators, '<=', accept, comparison(function(c) { return c <= 0; }));
+		overload(calculator.binaryOperators, '>=', accept, comparison(function(c) { return c >= 0; }));
+		overload(calculator.prefixOperators, '-', accept, fraction(function(a) { return a.negate(); }));
+		overload(calculator.prefixOperators, '+', accept, fraction(function(a) { return a; }));
+		overload(calculator.postfixOperators, '²', accept, fraction(function(a) { return a.pow(2); }));
+		overload(calculator.postfixOperators, '³', accept, fraction(function(a) { return a.pow(3); }));
+
+		// "num" and "den" only accept fractions and integers (unlike "num(0.5)"), "tofloat" accepts any number (like "tofloat(0x10)")
+		function addPart(token, type, part) {
+			return calculator.addFunction(lang(token), lang('x'), undefined, function(context, resolve, reject, x) {
+				var value = x.getValue(context), number = (calculator.typeGroups.number.indexOf(x.getType().name) >= 0) ? Number(value) : NaN;
+				if (isFraction(value))
+					resolve(CalculatorTree.newConstant(type, part(value), undefined));
+				else if (!isNaN(number) && (type !== integerType || number % 1 === 0))
+					resolve(CalculatorTree.newConstant(type, part(undefined, number), undefined));
+				else
+					reject(new CalculatorError(undefined, undefined, 0, (type === integerType) ? 'Integer or fraction expected but found "%0"' : 'Number expected but found "%0"', [calculator.format(x)]));
+			});
+		}
+		addPart('num', integerType, function(f, value) { return f ? Number(f.numerator) : value; }).typed('integer', ['number']);
+		addPart('den', integerType, function(f, value) { return f ? Number(f.denominator) : 1; }).typed('integer', ['number']);
+		addPart('tofloat', floatType, function(f, value) { return f ? f.toNumber() : Number(value); }).typed('float', ['number']);
+		return fractionType;
+	};
+
+	/**
+	 * Helper method to add an optional "quantity" type, for values with units like "5 km + 300 m" or "10 kg * 9.81 m/s²" :
+	 * - units are added using "addUnit" and can follow a value, like "5 km", or be used alone, like "h" in "km/h"
+	 * - "+", "-" and the comparison operators check that quantities have the same dimension and give an error otherwise
+	 * - "*", "/", "**", "²" and "³" combine units, like "kg*m/s²", and give a number when units cancel each other, like "km/m"
+	 * - the "in" operator converts a quantity to another unit, like "5 km + 300 m in mi"
+	 * - "abs", "round", "floor", "ceil", "min" and "max" keep the unit and the other functions and operators use the value of quantities in base units
+	 * - conditions, like "x ? a : b", consider zero quantities like "0 km" as false
+	 * NB: this method should be called after "addDefaultTypes", "addDefaultFunctions" and "addDefaultOperators"
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 * @return {CalculatorType} the "quantity" type
+	 */
+	Calculator.prototype.addQuantityType = function(lang) {
+		var calculator = this;
+		var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
+		var booleanType = calculator.types.filter(function(t) { return t.name === 'boolean'; })[0];
+		// Quantities are written as values followed by units, so the type does not parse any token
+		var quantityType = calculator.addType('quantity', function(token) {
+			return undefined;
+		}, function(value) {
+			return value.toString();
+		});
+		calculator.addTypeGroup('number', ['quantity']);
+
+		function isQuantity(value) {
+			return value instanceof CalculatorQuantity;
+		}
+		// Numbers are quantities without unit, so that "2 * 20 °C" keeps the "°C" unit (and its offset)
+		var none = new CalculatorUnit({}, 1, {});
+		function toQuantity(value) {
+			return isQuantity(value) ? value : new CalculatorQuantity(value, none);
+		}
+		function result(value) {
+			if (value.unit.isDimensionless())
+				return CalculatorTree.newConstant(floatType, value.toBase(), undefined);
+			return CalculatorTree.newConstant(quantityType, value, undefined);
+		}
+		function incompatible(a, b) {
+			return new CalculatorError(undefined, undefined, 0, 'Incompatible quantities "%0" and "%1"', [a.toString(), b.toString()]);
+		}
+		// Quantities can be raised to fractional powers if the exponents of the unit stay integers, like "sqrt(4 m²)" giving "2 m" (but not "sqrt(4 m)")
+		function power(x, n, resolve, reject) {
+			var unit = x.unit.pow(n), exponents = Object.keys(unit.symbols).map(function(s) { return unit.symbols[s]; });
+			if (exponents.some(function(e) { return Math.abs(e - Math.round(e)) > 1e-9; }))
+				return reject(new CalculatorError(undefined, undefined, 0, 'Invalid power %1 of quantity "%0"', [x.toString(), n]));
+			[unit.symbols, unit.dimension].forEach(function(map) {
+				for (var key in map) {
+					map[key] = Math.round(map[key]);
+				}
+			});
+			resolve(result(new CalculatorQuantity(Math.pow(x.value, n), unit)));
+		}
+		function root(n) {
+			return function(context, resolve, reject, a) {
+				power(a.getValue(context), 1 / n, resolve, reject);
+			};
+		}
+
+		// Other functions and operators use the values of quantities in base units, like "sin(90 deg)" if "deg" is based on radians
+		overloadConversion(calculator, isQuantity, function(value) {
+			return CalculatorTree.newConstant(floatType, value.toBase(), undefined);
+		});
+
+		// Operations on quantities, possibly mixed with numbers
+		function accept(context) {
+			var values = Array.prototype.slice.call(arguments, 1).map(function(p) { return p.getValue(context); });
+			return values.some(isQuantity) && values.every(function(v) { return isQuantity(v) || typeof v === 'number'; });
+		}
+		function quantity(calculate) {
+			return function(context, resolve, reject, a, b) {
+				resolve(result(calculate(toQuantity(a.getValue(context)), b && toQuantity(b.getValue(context)))));
+			};
+		}
+		function compatible(calculate) {
+			return function(context, resolve, reject, a, b) {
+				var x = toQuantity(a.getValue(context)), y = toQuantity(b.getValue(context));
+				if (x.unit.isCompatible(y.unit))
+					resolve(calculate(x, y));
+				else
+					reject(incompatible(a.getValue(context), b.getValue(context)));
+			};
+		}
+		function addition(sign) {
+			// The second operand is a difference, so the offset of units like "°C" is ignored ("20 °C + 5 K" gives "25 °C")
+			return compatible(function(a, b) {
+				return result(new CalculatorQuantity(a.value + sign * b.value * b.unit.factor / a.unit.factor, a.unit));
+			});
+		}
+		function comparison(test) {
+			return compatible(function(a, b) {
+				var x = a.toBase(), y = b.toBase();
+				return CalculatorTree.newConstant(booleanType, test(x < y ? -1 : x > y ? 1 : 0), undefined);
+			});
+		}
+		function overload(operators, token, acceptOperands, calculate) {
+			var operator = operators[lang(token).toLowerCase()];
+			if (operator)
+				operator.overload(acceptOperands, calculate);
+		}
+		overload(calculator.binaryOperators, '+', accept, addition(1));
+		overload(calculator.binaryOperators, '-', accept, addition(-1));
+		// Durations are not quantities, like "3m" (3 minutes) in "5 m + 3m"
+		function acceptDuration(context, a, b) {
+			var x = a.getValue(context), y = b.getValue(context);
+			return (isQuantity(x) && y instanceof CalculatorDuration) || (x instanceof CalculatorDuration && isQuantity(y));
+		}
+		['+', '-'].forEach(function(token) {
+			overload(calculator.binaryOperators, token, acceptDuration, function(context, resolve, reject, a, b) {
+				reject(incompatible(a.getValue(context), b.getValue(context)));
+			});
+		});
+		overload(calculator.binaryOperators, '*', accept, quantity(function(a, b) {
+			return new CalculatorQuantity(a.value * b.value, a.unit === none ? b.unit : b.unit === none ? a.unit : a.unit.multiply(b.unit));
+		}));
+		overload(calculator.binaryOperators, '/', accept, quantity(function(a, b) {
+			return new CalculatorQuantity(a.value / b.value, b.unit === none ? a.unit : a.unit.divide(b.unit));
+		}));
+		overload(calculator.binaryOperators, '**', function(context, a, b) {
+			var n = b.getValue(context);
+			return isQuantity(a.getValue(context)) && typeof n === 'number' && isFinite(n);
+		}, function(context, resolve, reject, a, b) {
+			power(a.getValue(context), b.getValue(context), resolve, reject);
+		});
+		overload(calculator.binaryOperators, '==', accept, comparison(function(c) { return c === 0; }));
+		overload(calculator.binaryOperators, '===', accept, comparison(function(c) { return c === 0; }));
+		overload(calculator.binaryOperators, '!=', accept, comparison(function(c) { return c !== 0; }));
+		overload(calculator.binaryOperators, '!==', accept, comparison(function(c) { return c !== 0; }));
+		overload(calculator.binaryOperators, '<', accept, comparison(function(c) { return c < 0; }));
+		overload(calculator.binaryOperators, '>', accept, comparison(function(c) { return c > 0; }));
+		overload(calculator.binaryOperators, '<=', accept, comparison(function(c) { return c <= 0; }));
+		overload(calculator.binaryOperators, '>=', accept, comparison(function(c) { return c >= 0; }));
+		overload(calculator.prefixOperators, '-', accept, quantity(function(a) { return new CalculatorQuantity(-a.value, a.unit); }));
+		overload(calculator.prefixOperators, '+', accept, quantity(function(a) { return a; }));
+		overload(calculator.postfixOperators, '²', accept, quantity(function(a) { return new CalculatorQuantity(a.value * a.value, a.unit.pow(2)); }));
+		overload(calculator.postfixOperators, '³', accept, quantity(function(a) { return new CalculatorQuantity(a.value * a.value * a.value, a.unit.pow(3)); }));
+		overload(calculator.prefixOperators, '√', accept, root(2));
+		overload(calculator.functions, 'sqrt', accept, root(2));
+		overload(calculator.functions, 'cbrt', accept, root(3));
+		['abs', 'round', 'floor', 'ceil'].forEach(function(token) {
+			overload(calculator.functions, token, accept, quantity(function(a) { return new CalculatorQuantity(Math[token](a.value), a.unit); }));
+		});
+		// The values of params, where arrays are flattened, like "min([1 km, 300 m])"
+		function operands(trees, result) {
+			trees.forEach(function(tree) {
+				if (tree.kind === 'array')
+					operands(tree.params, result);
+				else
+					result.push(tree);
+			});
+			return result;
+		}
+		function acceptExtremum(context) {
+			var trees = operands(Array.prototype.slice.call(arguments, 1), []);
+			return accept.apply(null, [context].concat(trees));
 		}
-		if (typeof moment !== 'undefined') {
-			addMoment('datetime', '"YYYY/MM/DD HH:mm:ss"', true, true);
-			addMoment('date', '"YYYY/MM/DD"', true, false);
-			addMoment('time', '"HH:mm:ss"', false, true);
+		// The minimum (or the maximum if "sign" is -1) of compatible quantities, like "min(1 km, 300 m)" giving "300 m"
+		function extremum(sign) {
+			return function(context, resolve, reject) {
+				var trees = operands(Array.prototype.slice.call(arguments, 3), []), values = trees.map(function(t) { return toQuantity(t.getValue(context)); });
+				var invalid = trees.filter(function(t, i) { return !values[i].unit.isCompatible(values[0].unit); })[0];
+				if (invalid)
+					reject(incompatible(trees[0].getValue(context), invalid.getValue(context)));
+				else
+					resolve(trees.reduce(function(best, t, i) { return sign * (values[i].toBase() - values[trees.indexOf(best)].toBase()) < 0 ? t : best; }));
+			};
 		}
+		overload(calculator.functions, 'min', acceptExtremum, extremum(1));
+		overload(calculator.functions, 'max', acceptExtremum, extremum(-1));
 
-		// Add support for strings AFTER date/time because they are a special kind of strings
-		calculator.addType('string', function(token) {
-			if (token.length >= 2 && token[0] === '"' && token[token.length - 1] === '"')
-				return token.substring(1, token.length - 1).replace('\\"', '"');
-		}, function(value) {
-			return '"' + value.replace('"', '\\"') + '"';
-		});
+		// Conversion to another unit, with the precedence of comparisons, like "5 km + 300 m in mi" or "20 °C in K"
+		var lower = calculator.binaryOperators['<'];
+		calculator.addOperator(lang('in'), lower ? lower.precedence : 0, 'left', undefined, compatible(function(a, b) {
+			return result(new CalculatorQuantity(a.to(b.unit).value / b.value, b.unit));
+		}));
+		return quantityType;
+	};
 
-		// Add support for different number notations using rational expression
-		function addRegExp(name, regexp, parse, format) {
-			calculator.addType(name, function(token) {
-				if (regexp.test(token))
-					return parse(token);
-			}, function(value) {
-				return format(value);
-			});
-		}
-		addRegExp('hexadecimal', /^0x[0-9a-fA-F]+$/,
-				function(token) { return parseInt(token.substring(2), 16); },
-				function(value) { return (value < 0 ? '-0x' : '0x') + Math.abs(value).toString(16); });
-		addRegExp('octal', /^0o[0-7]+$/,
-				function(token) { return parseInt(token.substring(2), 8); },
-				function(value) { return (value < 0 ? '-0o' : '0o') + Math.abs(value).toString(8); });
-		addRegExp('binary', /^0b[0-1]+$/,
-				function(token) { return parseInt(token.substring(2), 2); },
-				function(value) { return (value < 0 ? '-0b' : '0b') + Math.abs(value).toString(2); });
-		addRegExp('float', /^\d*\.\d+$/,
-				function(token) { return parseFloat(token); },
-				function(value) { return value.toString(); });
-		addRegExp('integer', /^\d+$/,
-				function(token) { return parseInt(token); },
-				function(value) { return value.toFixed(0); });
+	/**
+	 * Helper method to add a unit to the "quantity" type (see "addQuantityType"), like "km" or "°C".
+	 * For instance, the "km/h" unit can be added using : calculator.addUnit('km/h', 1000 / 3600, { m: 1, s: -1 });
+	 *
+	 * @param {String} symbol - the symbol of the unit, as seen in formula (case-sensitive)
+	 * @param {Number} factor - the factor to convert a value in this unit to a value in base units (like 1000 for "km" if the base unit is "m")
+	 * @param {Map} dimension - the map from base unit to exponent (like { m: 1 } for "km")
+	 * @param {Number} offset - the optional offset added after conversion to base units (like 273.15 for "°C" if the base unit is "K")
+	 * @return {CalculatorLiteral} the literal for this unit, which value is the quantity "1 symbol"
+	 */
+	Calculator.prototype.addUnit = function(symbol, factor, dimension, offset) {
+		var quantityType = this.types.filter(function(t) { return t.name === 'quantity'; })[0];
+		var symbols = {};
+		symbols[symbol] = 1;
+		var entry = new CalculatorLiteral(symbol, quantityType, new CalculatorQuantity(1, new CalculatorUnit(symbols, factor, dimension, offset)));
+		this.units[symbol] = entry;
+		return entry;
 	};
 
 	/**
@@ -879,7 +3474,10 @@ function loadCalculatorAPI() {
 	};
 
 	/**
-	 * Helper method to add default functions ('if', 'formatDate' and some functions using Math object).
+	 * Helper method to add default functions ('if', 'formatDate', date functions like 'today' or 'workdays', array functions like 'map' or 'range' and some functions using Math object).
+	 * The array functions 'map(values, f)', 'filter(values, f)', 'reduce(values, f, initial)' and 'sort(values, f)' call lambdas like "x => x²",
+	 * where "f" also gets the index of the element for 'map' and 'filter' and is an optional comparator like "(a, b) => b - a" for 'sort'.
+	 * Lambdas stored in variables are called like functions, like "sq(3)" after "sq = x => x²".
 	 *
 	 * @param {Function(String)->String} lang - a function to allow translation
 	 * @param {moment} moment - the moment API (or moment.utc API), if available. If not, the 'formatDate' function won't be available
@@ -894,7 +3492,7 @@ function loadCalculatorAPI() {
 		var numericType = function(params) { return params.some(function(p) { return p.getType() === floatType; }) ? floatType : integerType; };
 
 		function addFromMath(token, params, type) {
-			calculator.addFunction(lang(token), params || '', undefined, function(context, resolve, reject) {
+			return calculator.addFunction(lang(token), params || '', undefined, function(context, resolve, reject) {
 				// Get all parameters for the Math function
 				var params = Array.prototype.slice.apply(arguments, [3]);
 				// Calculate the value
@@ -906,53 +3504,775 @@ function loadCalculatorAPI() {
 			});
 		}
 
-		'random'.split(',').forEach(function(token) { addFromMath(token, '', floatType); });
-		'abs'.split(',').forEach(function(token) { addFromMath(token, 'x', firstType); });
-		'cos,sin,tan,acos,asin,atan,exp,log,sqrt'.split(',').forEach(function(token) { addFromMath(token, 'x', floatType); });
-		'ceil,floor,round'.split(',').forEach(function(token) { addFromMath(token, 'x', integerType); });
-		'pow,atan2'.split(',').forEach(function(token) { addFromMath(token, 'x, y', floatType); });
-		'min,max'.split(',').forEach(function(token) { addFromMath(token, 'x1, x2*', numericType); });
+		'random'.split(',').forEach(function(token) { addFromMath(token, '', floatType).typed('float', []); });
+		'abs'.split(',').forEach(function(token) { addFromMath(token, 'x', firstType).typed(undefined, ['number']); });
+		'cos,sin,tan,acos,asin,atan,exp,log,sqrt'.split(',').forEach(function(token) { addFromMath(token, 'x', floatType).typed('number', ['number']); });
+		'ceil,floor,round'.split(',').forEach(function(token) { addFromMath(token, 'x', integerType).typed('integer', ['number']); });
+		'pow,atan2'.split(',').forEach(function(token) { addFromMath(token, 'x, y', floatType).typed('number', ['number', 'number']); });
+		'min,max'.split(',').forEach(function(token) { addFromMath(token, 'x1, x2*', numericType).typed('number', ['number|array'], true); });
 
 		calculator.addFunction(lang('cbrt'), lang('x'), undefined, function(context, resolve, reject, x) {
 			var value = x.getValue(context);
 			resolve(CalculatorTree.newConstant(floatType, (value < 0 ? -1 : 1) * Math.pow(Math.abs(value), 1/3), undefined));
-		});
+		}).typed('float', ['number']);
 		calculator.addFunction(lang('if'), lang('test, trueValue, falseValue'), function(context, resolve, reject, test, v1, v2) {
 			var self = this;
 			context.reduce(test, function(result) {
 				if (result.isValue()) {
-					context.reduce(result.getValue(context) ? v1 : v2, resolve, reject);
+					context.reduce(result.isTrue(context) ? v1 : v2, resolve, reject);
 				} else {
 					context.reduceAll([v1, v2], function(results) {
 						resolve(CalculatorTree.newFunction(self, [result, results[0], results[1]], undefined));
 					}, reject);
 				}
 			}, reject);
-		});
-		function addDatePart(token, extract) {
+		}).typed(undefined, ['any', 'any', 'any']);
+
+		// Higher-order functions on arrays, calling lambdas with each element, like "map([1, 2, 3], x => x²)"
+		function arrayError(message, params) {
+			return new CalculatorError(undefined, undefined, 0, message, params);
+		}
+		// "calculate(context, resolve, reject, items, lambda, others...)" is called when "values" is a reduced array and "f" a lambda (or undefined if optional)
+		function addArrayFunction(token, params, optional, calculate) {
+			return calculator.addFunction(lang(token), lang(params), function(context, resolve, reject, values, f) {
+				var self = this;
+				context.reduceAll(Array.prototype.slice.call(arguments, 3), function(results) {
+					var array = results[0], lambda = results[1];
+					if (array.kind !== 'array' && array.isValue())
+						reject(arrayError('Array expected but found "%0"', [calculator.format(array)]));
+					else if (lambda ? (lambda.kind !== 'lambda' && lambda.isValue()) : !optional)
+						reject(arrayError('Function expected but found "%0"', [lambda ? calculator.format(lambda) : '']));
+					else if (array.kind !== 'array' || (lambda && lambda.kind !== 'lambda'))
+						resolve(CalculatorTree.newFunction(self, results, undefined));
+					else
+						calculate.apply(self, [context, resolve, reject, array.params].concat(results.slice(1)));
+				}, reject);
+			});
+		}
+		// Calls "lambda" with each arguments of "argsList" and resolves with the array of the results
+		function callAll(context, lambda, argsList, resolve, reject) {
+			var results = [], count = argsList.length, failed = false;
+			if (count === 0) {
+				resolve(results);
+				return;
+			}
+			argsList.forEach(function(args, index) {
+				context.call(lambda, args, function(result) {
+					results[index] = result;
+					if (--count === 0 && !failed)
+						resolve(results);
+				}, function(error) {
+					if (!failed)
+						reject(error);
+					failed = true;
+				});
+			});
+		}
+		function withIndex(items) {
+			return items.map(function(item, index) { return [item, CalculatorTree.newConstant(integerType, index, undefined)]; });
+		}
+		addArrayFunction('map', 'values, f', false, function(context, resolve, reject, items, f) {
+			callAll(context, f, withIndex(items), function(results) {
+				resolve(CalculatorTree.newArray(results));
+			}, reject);
+		}).typed('array', ['array', 'function']);
+		addArrayFunction('filter', 'values, f', false, function(context, resolve, reject, items, f) {
+			var self = this;
+			callAll(context, f, withIndex(items), function(results) {
+				if (results.some(function(r) { return !r.isValue(); }))
+					resolve(CalculatorTree.newFunction(self, [CalculatorTree.newArray(items), f], undefined));
+				else
+					resolve(CalculatorTree.newArray(items.filter(function(item, index) { return results[index].getValue(context); })));
+			}, reject);
+		}).typed('array', ['array', 'function']);
+		addArrayFunction('reduce', 'values, f, initial', false, function(context, resolve, reject, items, f, initial) {
+			var index = initial ? 0 : 1, accumulator = initial || items[0], failed = false, settled, synchronous;
+			if (!accumulator) {
+				reject(arrayError('At least %0 values expected', [1]));
+				return;
+			}
+			// The elements are accumulated one after the other, without recursion when the lambda resolves synchronously
+			function next(result) {
+				accumulator = result;
+				index++;
+				settled = true;
+				if (!synchronous)
+					loop();
+			}
+			function fail(error) {
+				failed = true;
+				reject(error);
+			}
+			function loop() {
+				while (index < items.length && !failed) {
+					settled = false;
+					synchronous = true;
+					context.call(f, [accumulator, items[index]], next, fail);
+					synchronous = false;
+					if (!settled)
+						return;
+				}
+				if (!failed)
+					resolve(accumulator);
+			}
+			loop();
+		}).typed(undefined, ['array', 'function', 'any?']);
+		addArrayFunction('sort', 'values, f', true, function(context, resolve, reject, items, f) {
+			var self = this, error, unresolved = false;
+			// Without comparator, values are sorted in natural order, like numbers or strings
+			function compareValues(a, b) {
+				if (!a.isValue() || !b.isValue())
+					unresolved = true;
+				else if (a.getValue(context) < b.getValue(context))
+					return -1;
+				else if (a.getValue(context) > b.getValue(context))
+					return 1;
+				return 0;
+			}
+			// The comparator, like "(a, b) => b - a", has to resolve synchronously because Array.sort is synchronous
+			function compareWithLambda(a, b) {
+				var order = 0, settled = false;
+				if (error || unresolved)
+					return 0;
+				context.call(f, [a, b], function(result) {
+					settled = true;
+					if (!result.isValue())
+						unresolved = true;
+					else if (typeof result.getValue(context) !== 'number')
+						error = arrayError('Number expected but found "%0"', [calculator.format(result)]);
+					else
+						order = result.getValue(context);
+				}, function(e) {
+					settled = true;
+					error = e;
+				});
+				if (!settled)
+					error = new CalculatorAsyncError(self);
+				return order;
+			}
+			var sorted = items.slice().sort(f ? compareWithLambda : compareValues);
+			if (error)
+				reject(error);
+			else if (unresolved)
+				resolve(CalculatorTree.newFunction(self, [CalculatorTree.newArray(items)].concat(f ? [f] : []), undefined));
+			else
+				resolve(CalculatorTree.newArray(sorted));
+		}).typed('array', ['array', 'function?']);
+		calculator.addFunction(lang('range'), lang('start, end, step'), undefined, function(context, resolve, reject, start, end, step) {
+			var from = start.getValue(context), to = end.getValue(context), by = step ? step.getValue(context) : (from <= to ? 1 : -1), items = [];
+			var invalid = [start, end].concat(step ? [step] : []).filter(function(p) { return typeof p.getValue(context) !== 'number' || !isFinite(p.getValue(context)); })[0];
+			if (invalid) {
+				reject(arrayError('Number expected but found "%0"', [calculator.format(invalid)]));
+				return;
+			}
+			if (by === 0) {
+				reject(arrayError('Non-zero step expected'));
+				return;
+			}
+			// The end is included, like "range(1, 5)" giving [1, 2, 3, 4, 5], and the count is limited to avoid freezing
+			var count = ((to - from) / by < 0) ? 0 : Math.floor((to - from) / by + 1e-9) + 1;
+			if (count > 100000) {
+				reject(arrayError('At most %0 values expected', [100000]));
+				return;
+			}
+			for (var i = 0; i < count; i++) {
+				var value = from + i * by;
+				items.push(CalculatorTree.newConstant(Math.floor(value) === value ? integerType : floatType, value, undefined));
+			}
+			resolve(CalculatorTree.newArray(items));
+		}).typed('array', ['number', 'number', 'number?']);
+
+		// "types" are the type names having this part, like "date|datetime" for the year or "time|datetime" for the hour
+		function addDatePart(token, types, extract) {
 			calculator.addFunction(lang(token), lang('date'), undefined, function(context, resolve, reject, date) {
-				var v = date.getValue(context);
+				var v = date.getValue(context), type = date.getType();
 				if (v === null)
 					resolve(CalculatorTree.newConstant(nullType, null, undefined));
+				else if (!type || types.split('|').indexOf(type.name) < 0)
+					reject(new CalculatorError(undefined, undefined, 0, types === 'date|datetime' ? 'Date expected but found "%0"' : 'Time expected but found "%0"', [calculator.format(date)]));
 				else
 					resolve(CalculatorTree.newConstant(integerType, extract(v), undefined));
-			});
+			}).typed('integer|null', [types + '|null']);
+		}
+
+		var dateType = calculator.types.filter(function(t) { return t.name === 'date'; })[0];
+		var datetimeType = calculator.types.filter(function(t) { return t.name === 'datetime'; })[0];
+		var durationType = calculator.types.filter(function(t) { return t.name === 'duration'; })[0];
+		// "calculate(values...)" gives the result, where the first "dates" params are date or datetime values, with the type "type" (or the type of the first param)
+		function addDateFunction(token, params, dates, type, calculate) {
+			calculator.addFunction(lang(token), lang(params), undefined, function(context, resolve, reject) {
+				var params = Array.prototype.slice.call(arguments, 3);
+				var invalid = params.slice(0, dates).filter(function(p) { return (p.getType() !== dateType && p.getType() !== datetimeType) || p.getValue(context) === null; })[0];
+				if (invalid)
+					reject(new CalculatorError(undefined, undefined, 0, 'Date expected but found "%0"', [calculator.format(invalid)]));
+				else
+					resolve(CalculatorTree.newConstant(type || params[0].getType(), calculate.apply(null, params.map(function(p) { return p.getValue(context); })), undefined));
+			}).typed(type ? type.name : 'date|datetime', (params ? params.split(', ') : []).map(function(name, index) { return index < dates ? 'date|datetime' : 'number'; }));
+		}
+		function now(hasTime) {
+			// The local date and time
+			var d = new Date();
+			return dateValueFromTime(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds()), true, hasTime);
+		}
+		function day(date) {
+			return Date.UTC(date.year, date.month, date.date) / 86400000;
 		}
 		if (typeof moment !== 'undefined') {
 			calculator.addFunction(lang('formatDate'), lang('date, format'), undefined, function(context, resolve, reject, date, format) {
-				resolve(CalculatorTree.newConstant(stringType, moment(date.getValue(context)).format(format.getValue(context)), undefined));
+				var value = date.getValue(context), m = moment(value);
+				// Datetimes with a time zone are formatted with their UTC offset, for the "Z" or "ZZ" tokens
+				if (date.getType() === datetimeType && value)
+					m.utcOffset(datetimeType.offset(value), true/*keepLocalTime*/);
+				resolve(CalculatorTree.newConstant(stringType, m.format(format.getValue(context)), undefined));
+			}).typed('string', ['date|time|datetime|null', 'string']);
+			addDatePart('year', 'date|datetime', function(date) { return date.year; });
+			addDatePart('month', 'date|datetime', function(date) { return date.month + 1; });
+			addDatePart('date', 'date|datetime', function(date) { return date.date; });
+			addDatePart('hour', 'time|datetime', function(date) { return date.hour; });
+			addDatePart('minute', 'time|datetime', function(date) { return date.minute; });
+			addDatePart('second', 'time|datetime', function(date) { return date.second; });
+
+			addDateFunction('now', '', 0, datetimeType, function() { return now(true); });
+			// Time zones, like tz("2018/04/13 13:50:42", "Europe/Paris") or utcoffset("2018/04/13 13:50:42 Europe/Paris")
+			calculator.addFunction(lang('tz'), lang('datetime, zone'), undefined, function(context, resolve, reject, datetime, zone) {
+				var value = datetime.getValue(context), name = zone.getValue(context);
+				if ((datetime.getType() !== datetimeType && datetime.getType() !== dateType) || value === null)
+					reject(new CalculatorError(undefined, undefined, 0, 'Date expected but found "%0"', [calculator.format(datetime)]));
+				else if (typeof name !== 'string' || !(value = datetimeType.toZone(value, name)))
+					reject(new CalculatorError(undefined, undefined, 0, 'Time zone expected but found "%0"', [calculator.format(zone)]));
+				else
+					resolve(CalculatorTree.newConstant(datetimeType, value, undefined));
+			}).typed('datetime', ['date|datetime', 'string']);
+			addDateFunction('utcoffset', 'datetime', 1, durationType, function(datetime) {
+				return new CalculatorDuration(0, 0, datetime.hour === undefined ? 0 : datetimeType.offset(datetime) * 60);
+			});
+			addDateFunction('today', '', 0, dateType, function() { return now(false); });
+			addDateFunction('addMonths', 'date, months', 1, undefined, function(date, months) {
+				return dateValueFromTime(new CalculatorDuration(months, 0, 0).addTo(dateValueToTime(date)), true, date.hour !== undefined);
+			});
+			addDateFunction('diffDays', 'start, end', 2, integerType, function(start, end) { return day(end) - day(start); });
+			// Days of week are numbered from 1 (monday) to 7 (sunday), like ISO-8601
+			addDateFunction('weekday', 'date', 1, integerType, function(date) { return (new Date(day(date) * 86400000).getUTCDay() + 6) % 7 + 1; });
+			// Working days (monday to friday) between two dates, both included, like spreadsheets
+			addDateFunction('workdays', 'start, end', 2, integerType, function(start, end) {
+				var first = Math.min(day(start), day(end)), last = Math.max(day(start), day(end)), count = 0;
+				// 1970/01/01 was a thursday, so day "d" is a working day if (d + 3) modulo 7 is lower than 5
+				var weeks = Math.floor((last - first + 1) / 7);
+				for (var d = first + weeks * 7; d <= last; d++) {
+					if (((d + 3) % 7 + 7) % 7 < 5)
+						count++;
+				}
+				count += weeks * 5;
+				return day(end) < day(start) ? -count : count;
+			});
+		}
+	};
+
+	/**
+	 * Helper method to add string functions :
+	 * - len, upper, lower and trim
+	 * - substr(text, start, length) and indexOf(text, search, start), where positions start at 0 and negative starts are counted from the end
+	 * - replace(text, search, replacement) replacing every occurrence of "search"
+	 * - split(text, separator) giving an array and join(values, separator) joining an array
+	 * - repeat(text, count) and padStart(text, length, pad)
+	 * - match(text, pattern, flags) giving the array of the matched text and groups (or all the matches with the "g" flag), or null if "pattern" does not match
+	 * NB: this method should be called after "addDefaultTypes"
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 */
+	Calculator.prototype.addStringFunctions = function(lang) {
+		var calculator = this;
+		var nullType = calculator.types.filter(function(t) { return t.name === 'null'; })[0];
+		var stringType = calculator.types.filter(function(t) { return t.name === 'string'; })[0];
+		var integerType = calculator.types.filter(function(t) { return t.name === 'integer'; })[0];
+
+		// The last param of these errors is the offending value, formatted from the function params when rejected unless it is a string (see "add")
+		function error(message, params) {
+			return new CalculatorError(undefined, undefined, 0, message, params);
+		}
+		function text(value, defaultValue) {
+			if (value === undefined && defaultValue !== undefined)
+				return defaultValue;
+			if (typeof value !== 'string')
+				throw error('String expected but found "%0"', [value]);
+			return value;
+		}
+		function integer(value, min, max, defaultValue) {
+			if (value === undefined && defaultValue !== undefined)
+				return defaultValue;
+			if (typeof value !== 'number' || Math.floor(value) !== value || value < min || value > max) {
+				if (min === -Infinity)
+					throw error('Integer expected but found "%0"', [value]);
+				if (max === Infinity)
+					throw error('Positive integer expected but found "%0"', [value]);
+				throw error('Value between %0 and %1 expected but found "%2"', [min, max, value]);
+			}
+			return value;
+		}
+		// Negative positions are counted from the end of "value", like "substr("abc", -1)"
+		function position(value, length) {
+			value = integer(value, -Infinity, Infinity, 0);
+			return Math.max(0, Math.min(length, value < 0 ? length + value : value));
+		}
+		function toTree(value) {
+			if (Array.isArray(value))
+				return CalculatorTree.newArray(value.map(toTree));
+			if (value === null)
+				return CalculatorTree.newConstant(nullType, null, undefined);
+			return CalculatorTree.newConstant(typeof value === 'number' ? integerType : stringType, value, undefined);
+		}
+		// Gives the formatted param (or param's element) whose value is "value", like ""2018/04/13"" for a date
+		function formatValue(trees, values, value) {
+			for (var i = 0; i < trees.length; i++) {
+				if (values[i] === value)
+					return calculator.format(trees[i]);
+				if (Array.isArray(values[i]) && trees[i].kind === 'array') {
+					var result = formatValue(trees[i].params, values[i], value);
+					if (result !== undefined)
+						return result;
+				}
+			}
+		}
+
+		// "calculate(values...)" gives a string, a number, an array or null, from the values of the params
+		function add(token, params, calculate) {
+			function calculateValues(context, resolve, reject) {
+				var trees = Array.prototype.slice.call(arguments, 3), values = trees.map(function(p) { return p.getValue(context); }), result;
+				try {
+					result = calculate.apply(null, values);
+				} catch (e) {
+					if (!(e instanceof CalculatorError))
+						throw e;
+					var offending = e.params[e.params.length - 1];
+					var formatted = typeof offending === 'string' ? undefined : formatValue(trees, values, offending);
+					if (formatted !== undefined)
+						e.params[e.params.length - 1] = formatted;
+					reject(e);
+					return;
+				}
+				resolve(toTree(result));
+			}
+			// Arrays are only given to overloads (see "reducedCalculate"), so each function accepts them through an overload
+			return calculator.addFunction(lang(token), lang(params), undefined, calculateValues).overload(function() { return true; }, calculateValues);
+		}
+
+		add('len', 'text', function(value) { return text(value).length; }).typed('integer', ['string']);
+		add('upper', 'text', function(value) { return text(value).toUpperCase(); }).typed('string', ['string']);
+		add('lower', 'text', function(value) { return text(value).toLowerCase(); }).typed('string', ['string']);
+		add('trim', 'text', function(value) { return text(value).trim(); }).typed('string', ['string']);
+		add('substr', 'text, start, length', function(value, start, length) {
+			value = text(value);
+			start = position(start, value.length);
+			return value.substring(start, start + integer(length, 0, Infinity, value.length));
+		}).typed('string', ['string', 'number', 'number?']);
+		add('indexOf', 'text, search, start', function(value, search, start) {
+			value = text(value);
+			return value.indexOf(text(search), position(start, value.length));
+		}).typed('integer', ['string', 'string', 'number?']);
+		add('replace', 'text, search, replacement', function(value, search, replacement) {
+			return text(value).split(text(search)).join(text(replacement));
+		}).typed('string', ['string', 'string', 'string']);
+		add('split', 'text, separator', function(value, separator) {
+			return text(value).split(text(separator));
+		}).typed('array', ['string', 'string']);
+		add('join', 'values, separator', function(values, separator) {
+			return (Array.isArray(values) ? values : [values]).map(function(v) {
+				return typeof v === 'number' ? v.toString() : text(v);
+			}).join(text(separator, ''));
+		}).typed('string', ['array|string|number', 'string?']);
+		add('repeat', 'text, count', function(value, count) {
+			// The count is limited to avoid freezing with very large texts
+			return new Array(integer(count, 0, 10000) + 1).join(text(value));
+		}).typed('string', ['string', 'number']);
+		add('padStart', 'text, length, pad', function(value, length, pad) {
+			value = text(value);
+			length = integer(length, 0, 10000);
+			pad = text(pad, ' ');
+			if (pad.length === 0 || value.length >= length)
+				return value;
+			var padding = new Array(Math.ceil((length - value.length) / pad.length) + 1).join(pad);
+			return padding.substring(0, length - value.length) + value;
+		}).typed('string', ['string', 'number', 'string?']);
+		add('match', 'text, pattern, flags', function(value, pattern, flags) {
+			var regexp;
+			try {
+				regexp = new RegExp(text(pattern), text(flags, ''));
+			} catch (e) {
+				if (e instanceof CalculatorError)
+					throw e;
+				throw error('Invalid regular expression "%0"', [pattern]);
+			}
+			var result = text(value).match(regexp);
+			// Groups that did not participate in the match are empty
+			return result && Array.prototype.map.call(result, function(v) { return v === undefined ? '' : v; });
+		}).typed('array|null', ['string', 'string', 'string?']);
+	};
+
+	/**
+	 * Helper method to add statistics functions, working on a list of values like "mean(1, 2, 3)" or on an array like "mean([1, 2, 3])" :
+	 * - sum, mean, median, mode, var (sample variance), stdev (sample standard deviation), stdevp (population standard deviation) and count
+	 * - percentile(values, k) with k between 0 and 1 and quartile(values, q) with q between 0 and 4, using linear interpolation like spreadsheets
+	 * - correl(xs, ys) giving the Pearson correlation coefficient and linreg(xs, ys) giving the [slope, intercept] of the linear regression
+	 * Nested arrays are flattened and values that are not numbers give a CalculatorError.
+	 * The sum and the mean of other numbers, like quantities or fractions, are calculated with the "+" and "/" operators, so that "sum(1 km, 300 m)" gives "1.3 km".
+	 * The other functions (except "correl" and "linreg") calculate compatible quantities in the unit of the first one, like "median(1 km, 300 m)" giving "0.65 km".
+	 * NB: this method should be called after "addDefaultTypes", "addDefaultOperators" and the optional types (like "addQuantityType"), which would convert their values to numbers
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 */
+	Calculator.prototype.addStatisticsFunctions = function(lang) {
+		var calculator = this;
+		var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
+		var integerType = calculator.types.filter(function(t) { return t.name === 'integer'; })[0];
+		var quantityType = calculator.types.filter(function(t) { return t.name === 'quantity'; })[0];
+
+		function error(message, params) {
+			return new CalculatorError(undefined, undefined, 0, message, params);
+		}
+		function flatten(value, samples) {
+			if (Array.isArray(value))
+				value.forEach(function(v) { flatten(v, samples); });
+			else if (typeof value === 'number')
+				samples.push(value);
+			else
+				throw error('Number expected but found "%0"', [value]);
+			return samples;
+		}
+		function atLeast(samples, count) {
+			if (samples.length < count)
+				throw error('At least %0 values expected', [count]);
+			return samples;
+		}
+		function between(value, min, max) {
+			if (typeof value !== 'number' || value < min || value > max)
+				throw error('Value between %0 and %1 expected but found "%2"', [min, max, value]);
+			return value;
+		}
+		function sum(samples) {
+			return samples.reduce(function(total, x) { return total + x; }, 0);
+		}
+		function mean(samples) {
+			return sum(atLeast(samples, 1)) / samples.length;
+		}
+		function squares(samples) {
+			var m = mean(samples);
+			return sum(samples.map(function(x) { return (x - m) * (x - m); }));
+		}
+		function percentile(samples, k) {
+			var sorted = atLeast(samples, 1).slice().sort(function(a, b) { return a - b; });
+			var position = between(k, 0, 1) * (sorted.length - 1), index = Math.floor(position);
+			return (index === sorted.length - 1) ? sorted[index] : sorted[index] + (position - index) * (sorted[index + 1] - sorted[index]);
+		}
+		function isInteger(x) {
+			return Math.floor(x) === x;
+		}
+		function toTree(value, type) {
+			if (Array.isArray(value))
+				return CalculatorTree.newArray(value.map(function(v) { return toTree(v, type); }));
+			return CalculatorTree.newConstant(type, value, undefined);
+		}
+
+		/*
+		 * "calculate(samples, extra...)" gives the result, where "samples" are the values of the params (except the "extra" last ones)
+		 * and "type" is the type of the result (or undefined to use the integer type if all samples are integers).
+		 * If "power" is defined, quantities are accepted too and the unit of the result is the unit of the samples raised to "power" (see "quantities")
+		 */
+		function add(token, params, extra, type, calculate, power) {
+			function calculateSamples(context, resolve, reject) {
+				var values = Array.prototype.slice.call(arguments, 3).map(function(p) { return p.getValue(context); }), result, samples;
+				try {
+					var extraValues = values.splice(Math.max(0, values.length - extra), extra);
+					samples = flatten(values, []);
+					result = calculate.apply(null, [samples].concat(extraValues));
+				} catch (e) {
+					if (!(e instanceof CalculatorError))
+						throw e;
+					reject(e);
+					return;
+				}
+				resolve(toTree(result, type || (samples.every(isInteger) ? integerType : floatType)));
+			}
+			// Arrays are only given to overloads (see "reducedCalculate"), so each function accepts them through an overload
+			var f = calculator.addFunction(lang(token), lang(params), undefined, calculateSamples).overload(acceptArrays, calculateSamples);
+			return (power === undefined || !quantityType) ? f : f.overload(acceptQuantities, quantities(extra, power, calculate));
+		}
+		// Accepts params with quantities, like "median(1 km, 300 m)"
+		function acceptQuantities(context) {
+			return operands(Array.prototype.slice.call(arguments, 1), []).some(function(t) { return t.getValue(context) instanceof CalculatorQuantity; });
+		}
+		// Samples are compatible quantities converted to the unit of the first one, like "median(1 km, 300 m)" giving "0.65 km"
+		function quantities(extra, power, calculate) {
+			return function(context, resolve, reject) {
+				var trees = Array.prototype.slice.call(arguments, 3), extraValues = trees.splice(Math.max(0, trees.length - extra), extra).map(function(p) { return p.getValue(context); });
+				var values = operands(trees, []).map(function(t) { return t.getValue(context); }), first = values.filter(function(v) { return v instanceof CalculatorQuantity; })[0];
+				var invalid = values.filter(function(v) { return !(v instanceof CalculatorQuantity) || !v.unit.isCompatible(first.unit); })[0], unit = first.unit, result;
+				if (invalid !== undefined) {
+					reject(error('Incompatible quantities "%0" and "%1"', [first.toString(), String(invalid)]));
+					return;
+				}
+				try {
+					result = calculate.apply(null, [values.map(function(v) { return v.to(unit).value; })].concat(extraValues));
+				} catch (e) {
+					if (!(e instanceof CalculatorError))
+						throw e;
+					reject(e);
+					return;
+				}
+				resolve(power === 0 ? toTree(result, integerType) : CalculatorTree.newConstant(quantityType, new CalculatorQuantity(result, unit.pow(power)), undefined));
+			};
+		}
+		// Accepts params with arrays, including invalid values that "calculateSamples" rejects (like "percentile([1, 2], 'x')")
+		function acceptArrays(context) {
+			return Array.prototype.slice.call(arguments, 1).some(function(p) { return Array.isArray(p.getValue(context)); });
+		}
+		// The trees of the values, where arrays are flattened
+		function operands(trees, result) {
+			trees.forEach(function(tree) {
+				if (tree.kind === 'array')
+					operands(tree.params, result);
+				else
+					result.push(tree);
+			});
+			return result;
+		}
+		// Accepts numbers of the "number" group with at least one that is not a javascript number, like a quantity
+		function acceptOtherNumbers(context) {
+			var trees = operands(Array.prototype.slice.call(arguments, 1), []), numbers = calculator.typeGroups.number || [];
+			return trees.length > 0 && trees.every(function(t) { return t.isValue() && t.getType() && numbers.indexOf(t.getType().name) >= 0; })
+				&& trees.some(function(t) { return typeof t.getValue(context) !== 'number'; });
+		}
+		// The sum (and the mean if "divided") of other numbers, calculated by reducing the "+" and "/" operators with their overloads
+		function operations(divided) {
+			return function(context, resolve, reject) {
+				var trees = operands(Array.prototype.slice.call(arguments, 3), []), plus = calculator.binaryOperators[lang('+')], divide = calculator.binaryOperators[lang('/')];
+				var tree = trees.reduce(function(total, t) { return CalculatorTree.newBinary(plus, total, t, undefined); });
+				if (divided)
+					tree = CalculatorTree.newBinary(divide, tree, CalculatorTree.newConstant(integerType, trees.length, undefined), undefined);
+				context.reduce(tree, resolve, function(e) {
+					// Errors are positioned on the function instead of the operations, that are not in formula
+					reject(e instanceof CalculatorError ? new CalculatorError(undefined, undefined, 0, e.message, e.params) : e);
+				});
+			};
+		}
+		// "calculate(xs, ys)" gives the result for two arrays of the same size
+		function addPaired(token, calculate) {
+			return add(token, 'xs, ys', 1, floatType, function(xs, ys) {
+				ys = flatten(ys, []);
+				if (xs.length !== ys.length)
+					throw error('Arrays of the same size expected');
+				atLeast(xs, 2);
+				var mx = mean(xs), my = mean(ys), sxy = sum(xs.map(function(x, i) { return (x - mx) * (ys[i] - my); }));
+				return calculate(xs, ys, mx, my, sxy, squares(xs), squares(ys));
+			});
+		}
+		function quotient(a, b) {
+			if (b === 0)
+				throw error('Division by zero');
+			return a / b;
+		}
+
+		add('sum', 'x1, x2*', 0, undefined, sum).overload(acceptOtherNumbers, operations(false)).typed('number', ['number|array'], true);
+		add('mean', 'x1, x2*', 0, floatType, mean).overload(acceptOtherNumbers, operations(true)).typed('number', ['number|array'], true);
+		add('median', 'x1, x2*', 0, floatType, function(samples) { return percentile(samples, 0.5); }, 1).typed('float', ['number|array'], true);
+		add('mode', 'x1, x2*', 0, undefined, function(samples) {
+			// The most frequent value, or the first one if several values are equally frequent
+			var counts = {}, result;
+			atLeast(samples, 1).forEach(function(x) {
+				counts[x] = (counts[x] || 0) + 1;
+				if (result === undefined || counts[x] > counts[result])
+					result = x;
 			});
-			addDatePart('year', function(date) { return date.year; });
-			addDatePart('month', function(date) { return date.month + 1; });
-			addDatePart('date', function(date) { return date.date; });
-			addDatePart('hour', function(date) { return date.hour; });
-			addDatePart('minute', function(date) { return date.minute; });
-			addDatePart('second', function(date) { return date.second; });
+			return result;
+		}, 1).typed('number', ['number|array'], true);
+		add('var', 'x1, x2*', 0, floatType, function(samples) { return squares(atLeast(samples, 2)) / (samples.length - 1); }, 2).typed('float', ['number|array'], true);
+		add('stdev', 'x1, x2*', 0, floatType, function(samples) { return Math.sqrt(squares(atLeast(samples, 2)) / (samples.length - 1)); }, 1).typed('float', ['number|array'], true);
+		add('stdevp', 'x1, x2*', 0, floatType, function(samples) { return Math.sqrt(squares(samples) / samples.length); }, 1).typed('float', ['number|array'], true);
+		add('count', 'x1, x2*', 0, integerType, function(samples) { return samples.length; }, 0).typed('integer', ['number|array'], true);
+		add('percentile', 'values, k', 1, floatType, percentile, 1).typed('float', ['number|array', 'number']);
+		add('quartile', 'values, q', 1, floatType, function(samples, q) {
+			if (!isInteger(between(q, 0, 4)))
+				throw error('Value between %0 and %1 expected but found "%2"', [0, 4, q]);
+			return percentile(samples, q / 4);
+		}, 1).typed('float', ['number|array', 'number']);
+		addPaired('correl', function(xs, ys, mx, my, sxy, sxx, syy) { return quotient(sxy, Math.sqrt(sxx * syy)); }).typed('float', ['array', 'array']);
+		addPaired('linreg', function(xs, ys, mx, my, sxy, sxx, syy) {
+			var slope = quotient(sxy, sxx);
+			return [slope, my - slope * mx];
+		}).typed('array', ['array', 'array']);
+	};
+
+	/**
+	 * Helper method to add financial functions, compatible with spreadsheets (money paid out is negative, money received is positive) :
+	 * - pmt(rate, nper, pv, fv, type), pv(rate, nper, pmt, fv, type), fv(rate, nper, pmt, pv, type), nper(rate, pmt, pv, fv, type)
+	 *   and rate(nper, pmt, pv, fv, type, guess) where "fv" (0 by default) is the future value and "type" is 1 for payments
+	 *   at the beginning of periods (0 by default). The "rate" function is solved iteratively.
+	 * - npv(rate, v1, v2...), irr(values, guess) and xirr(values, dates, guess) where "values" and "dates" are arrays
+	 * - amortization(rate, nper, pv, fv, type) giving the schedule as an array of [period, payment, interest, principal, balance], where
+	 *   payment, interest and principal have the sign of "pmt" (negative for a loan where "pv" is positive) and balance has the sign of "pv"
+	 * Invalid parameters (like rates lower than -100%) and calculations that do not converge give a CalculatorError.
+	 * NB: this method should be called after "addDefaultTypes"
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 */
+	Calculator.prototype.addFinancialFunctions = function(lang) {
+		var calculator = this;
+		var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
+
+		function error(message, params) {
+			return new CalculatorError(undefined, undefined, 0, message, params);
+		}
+		function number(value, defaultValue) {
+			if (value === undefined && defaultValue !== undefined)
+				return defaultValue;
+			if (typeof value !== 'number' || !isFinite(value))
+				throw error('Number expected but found "%0"', [value]);
+			return value;
+		}
+		function numbers(value) {
+			return (Array.isArray(value) ? value : [value]).map(function(v) { return number(v); });
+		}
+		// Rates lower than -100% have no meaning, and -100% would divide by zero
+		function rateOf(value) {
+			value = number(value);
+			if (value <= -1)
+				throw error('Rate greater than -1 expected but found "%0"', [value]);
+			return value;
+		}
+		function day(value) {
+			if (!value || typeof value.year !== 'number' || typeof value.date !== 'number')
+				throw error('Date expected but found "%0"', [value]);
+			return Date.UTC(value.year, value.month, value.date) / 86400000;
+		}
+		// Returns the root of "f" near "guess", using the Newton's method with a numerical derivative
+		function solve(f, guess) {
+			var x = guess, h = 1e-7;
+			for (var i = 0; i < 100; i++) {
+				var y = f(x), dy = (f(x + h) - y) / h;
+				if (!isFinite(y) || !isFinite(dy) || dy === 0)
+					break;
+				var next = x - y / dy;
+				if (Math.abs(next - x) < 1e-10)
+					return next;
+				// Rates lower than -100% have no meaning
+				x = Math.max(next, (x - 1) / 2);
+			}
+			throw error('The calculation does not converge');
 		}
+		// The future value of "pv" and of the "pmt" payments (see "fv" function)
+		function future(rate, nper, pmt, pv, type) {
+			if (rate === 0)
+				return -(pv + pmt * nper);
+			var pvif = Math.pow(1 + rate, nper);
+			return -(pv * pvif + pmt * (1 + rate * type) * (pvif - 1) / rate);
+		}
+		function presentValues(rate, values, times) {
+			return values.reduce(function(total, v, i) { return total + v / Math.pow(1 + rate, times[i]); }, 0);
+		}
+		function cashFlows(values) {
+			if (!values.some(function(v) { return v > 0; }) || !values.some(function(v) { return v < 0; }))
+				throw error('Positive and negative values expected');
+			return values;
+		}
+		function toTree(value) {
+			if (Array.isArray(value))
+				return CalculatorTree.newArray(value.map(toTree));
+			return CalculatorTree.newConstant(floatType, value, undefined);
+		}
+
+		// "calculate(values...)" gives a number or an array, from the values of the params
+		function add(token, params, calculate) {
+			function calculateValues(context, resolve, reject) {
+				var values = Array.prototype.slice.call(arguments, 3).map(function(p) { return p.getValue(context); }), result;
+				try {
+					result = calculate.apply(null, values);
+				} catch (e) {
+					if (!(e instanceof CalculatorError))
+						throw e;
+					reject(e);
+					return;
+				}
+				resolve(toTree(result));
+			}
+			// Arrays are only given to overloads (see "reducedCalculate"), so each function accepts them through an overload
+			return calculator.addFunction(lang(token), lang(params), undefined, calculateValues).overload(acceptArrayValues, calculateValues);
+		}
+
+		function payment(rate, nper, pv, fv, type) {
+			if (nper === 0)
+				throw error('Division by zero');
+			if (rate === 0)
+				return -(pv + fv) / nper;
+			var pvif = Math.pow(1 + rate, nper);
+			return -rate * (fv + pv * pvif) / ((1 + rate * type) * (pvif - 1));
+		}
+
+		add('pmt', 'rate, nper, pv, fv, type', function(rate, nper, pv, fv, type) {
+			return payment(rateOf(rate), number(nper), number(pv), number(fv, 0), number(type, 0));
+		}).typed('float', ['number', 'number', 'number', 'number?', 'number?']);
+		add('pv', 'rate, nper, pmt, fv, type', function(rate, nper, pmt, fv, type) {
+			rate = rateOf(rate); nper = number(nper); pmt = number(pmt); fv = number(fv, 0); type = number(type, 0);
+			// The present value "pv" is the one giving the future value "fv" (see "future")
+			return -(fv - future(rate, nper, pmt, 0, type)) / Math.pow(1 + rate, nper);
+		}).typed('float', ['number', 'number', 'number', 'number?', 'number?']);
+		add('fv', 'rate, nper, pmt, pv, type', function(rate, nper, pmt, pv, type) {
+			return future(rateOf(rate), number(nper), number(pmt), number(pv, 0), number(type, 0));
+		}).typed('float', ['number', 'number', 'number', 'number?', 'number?']);
+		add('nper', 'rate, pmt, pv, fv, type', function(rate, pmt, pv, fv, type) {
+			rate = rateOf(rate); pmt = number(pmt); pv = number(pv); fv = number(fv, 0); type = number(type, 0);
+			if (rate === 0) {
+				if (pmt === 0)
+					throw error('Division by zero');
+				return -(pv + fv) / pmt;
+			}
+			var a = pmt * (1 + rate * type) - fv * rate, b = pmt * (1 + rate * type) + pv * rate;
+			// The payments never reach the future value, like "nper(0.01, -5, 1000)" where the interest is greater than the payment
+			if (a / b <= 0)
+				throw error('No solution for "%0"', [lang('nper')]);
+			return Math.log(a / b) / Math.log(1 + rate);
+		}).typed('float', ['number', 'number', 'number', 'number?', 'number?']);
+		add('rate', 'nper, pmt, pv, fv, type, guess', function(nper, pmt, pv, fv, type, guess) {
+			nper = number(nper); pmt = number(pmt); pv = number(pv); fv = number(fv, 0); type = number(type, 0);
+			return solve(function(rate) { return fv - future(rate, nper, pmt, pv, type); }, number(guess, 0.1));
+		}).typed('float', ['number', 'number', 'number', 'number?', 'number?', 'number?']);
+		add('npv', 'rate, v1, v2*', function(rate) {
+			var values = numbers(Array.prototype.slice.call(arguments, 1).reduce(function(all, v) { return all.concat(v); }, []));
+			return presentValues(rateOf(rate), values, values.map(function(v, i) { return i + 1; }));
+		}).typed('float', ['number', 'number|array'], true);
+		add('irr', 'values, guess', function(values, guess) {
+			values = cashFlows(numbers(values));
+			var times = values.map(function(v, i) { return i; });
+			return solve(function(rate) { return presentValues(rate, values, times); }, number(guess, 0.1));
+		}).typed('float', ['array', 'number?']);
+		add('xirr', 'values, dates, guess', function(values, dates, guess) {
+			values = cashFlows(numbers(values));
+			dates = (Array.isArray(dates) ? dates : [dates]).map(day);
+			if (dates.length !== values.length)
+				throw error('Arrays of the same size expected');
+			// Times are in years of 365 days since the first date, like spreadsheets do
+			var times = dates.map(function(d) { return (d - dates[0]) / 365; });
+			return solve(function(rate) { return presentValues(rate, values, times); }, number(guess, 0.1));
+		}).typed('float', ['array', 'array', 'number?']);
+		add('amortization', 'rate, nper, pv, fv, type', function(rate, nper, pv, fv, type) {
+			rate = rateOf(rate); nper = number(nper); pv = number(pv); fv = number(fv, 0); type = number(type, 0);
+			if (nper <= 0 || Math.floor(nper) !== nper || nper > 1200)
+				throw error('Value between %0 and %1 expected but found "%2"', [1, 1200, nper]);
+			var pmt = payment(rate, nper, pv, fv, type), balance = pv, rows = [];
+			for (var period = 1; period <= nper; period++) {
+				// The interest is negative for a loan (paid out), on the balance after the payment if it is made at the beginning of the period
+				var interest = -(type ? balance + pmt : balance) * rate, principal = pmt - interest;
+				// The last balance is exactly the opposite of the future value
+				balance = (period === nper) ? -fv : balance + principal;
+				rows.push([period, pmt, interest, principal, balance]);
+			}
+			return rows;
+		}).typed('array', ['number', 'number', 'number', 'number?', 'number?']);
 	};
 
 	/**
 	 * Helper method to add default operators.
+	 * Dates, times and datetimes also support "+" and "-" with a duration or a number of days (like "2018/04/13" + 3d),
+	 * "-" between two dates giving a duration and the comparison operators.
+	 * In a time zone, hours, minutes and seconds are added to the UTC time ("2018/03/25 01:30:00 Europe/Paris" + 1h gives 03:30:00).
 	 *
 	 * @param {Function(String)->String} lang - a function to allow translation
 	 */
@@ -968,13 +4288,69 @@ function loadCalculatorAPI() {
 		var integerType = calculator.types.filter(function(t) { return t.name === 'integer'; })[0];
 
 		function add(token, associativity, reduce, calculate) {
-			calculator.addOperator(lang(token), precedence, associativity, reduce, calculate);
+			return calculator.addOperator(lang(token), precedence, associativity, reduce, calculate);
+		}
+		// The factorial is only defined for positive values, and is Infinity above 170!
+		function factorial(a) {
+			var result = 1, v = Math.round(a);
+			if (v < 0 || isNaN(v))
+				return NaN;
+			if (v > 170)
+				return Infinity;
+			while (v > 1)
+				result *= v--;
+			return result;
 		}
 		function unary(type, calculate) {
-			return function(context, resolve, reject, a) { resolve(CalculatorTree.newConstant(type || a.getType(), calculate(a.getValue(context)), undefined)); };
+			return function(context, resolve, reject, a) {
+				// Keep the type of numbers (like "-0x10"), but not the type of other values (like the string of "-"a"" giving NaN)
+				var value = a.getValue(context);
+				resolve(CalculatorTree.newConstant(type || (typeof value === 'number' ? a.getType() : floatType), calculate(value), undefined));
+			};
+		}
+		// The literal modified by "tree", or undefined if "tree" is not an editable variable (like "pi" or "2")
+		function editableLiteral(context, tree) {
+			if (tree.kind !== 'literal')
+				return undefined;
+			var literal = tree.source.notResolved ? (context.findLiteral(tree.source.token) || tree.source) : tree.source;
+			return (literal.notResolved || typeof literal.setValue === 'function') ? literal : undefined;
+		}
+		function notEditable(tree) {
+			return new CalculatorError(undefined, undefined, 0, '"%0" can not be modified', [calculator.format(tree)]);
 		}
 		function variable(execute) {
-			return function(context, resolve, reject, v) { resolve(CalculatorTree.newConstant(v.source.type, execute(context, v.source), undefined)); };
+			return function(context, resolve, reject, v) {
+				var literal = editableLiteral(context, v);
+				if (!literal || literal.notResolved)
+					reject(notEditable(v));
+				else
+					resolve(CalculatorTree.newConstant(literal.type, execute(context, literal), undefined));
+			};
+		}
+		// Compound assignment, like "x += 2" for "x = x + 2", using the binary operator "token" and its overloads
+		function compound(token) {
+			return function(context, resolve, reject, v, b) {
+				var self = this, literal = editableLiteral(context, v), operator = calculator.binaryOperators[lang(token).toLowerCase()];
+				if (!literal) {
+					reject(notEditable(v));
+					return;
+				}
+				context.reduce(b, function(b) {
+					// A free variable without value, like "x" in "x += 2", is kept unresolved
+					if (literal.notResolved || !(b.isValue() || b.isArrayValue())) {
+						resolve(CalculatorTree.newBinary(self, v, b, undefined));
+						return;
+					}
+					context.reduce(CalculatorTree.newBinary(operator, v, b, undefined), function(result) {
+						if (result.isValue() || result.isArrayValue()) {
+							// Arrays, like "v += [1, 2]", are kept as reduced trees (see "=" operator)
+							literal.setValue(context, result.isValue() ? result.getValue(context) : result);
+							literal.type = result.getType();
+						}
+						resolve(result);
+					}, reject);
+				}, reject);
+			};
 		}
 		function binary(type, calculate) {
 			return function(context, resolve, reject, a, b) { resolve(CalculatorTree.newConstant(type, calculate(a.getValue(context), b.getValue(context)), undefined)); };
@@ -987,37 +4363,56 @@ function loadCalculatorAPI() {
 		}, undefined);
 		precedence++;
 		add('=', 'right', function(context, resolve, reject, variable, b) {
+			if (variable.kind === 'function') {
+				// Function definition, like "f(x, y) = x² + y²" : the function is kept so that next formulas can call it
+				context.calculator.addFunction(variable.source);
+				resolve(CalculatorTree.newBinary(this, variable, b, undefined));
+				return;
+			}
+			var literal = editableLiteral(context, variable);
+			if (!literal) {
+				reject(notEditable(variable));
+				return;
+			}
 			context.reduce(b, function(b) {
-				if (b.isValue()) {
-					variable.source.setValue(context, b.getValue(context));
-					variable.source.type = b.getType();
+				if (b.isValue() || b.isArrayValue() || b.kind === 'lambda') {
+					// Arrays, like "v = [1, 2]", and lambdas, like "square = x => x²", are kept as reduced trees
+					var value = b.isValue() ? b.getValue(context) : b;
+					// A new variable, like "rate" in "rate = 0.2", is created in the context on its first assignment
+					if (literal.notResolved)
+						literal = context.findLiteral(literal.token) || context.addLiteral(literal.token, b.getType(), value, true);
+					literal.setValue(context, value);
+					literal.type = b.getType();
 				}
 				resolve(b);
 			}, reject);
 		}, undefined); // affectation
-		// +=
-		// -=
-		// **=
-		// *=
-		// /=
-		// %=
-		// <<=
-		// >>=
-		// >>>=
-		// &=
-		// ^=
-		// |=
+		'+,-,**,*,/,%,<<,>>,>>>,&,^,|'.split(',').forEach(function(token) {
+			add(token + '=', 'right', compound(token), undefined);
+		});
 		precedence++;
-		// ? :
+		// Conditional, like "x > 0 ? x : -x", where only the selected value is reduced (see "if" function)
+		add('?', 'ternary', function(context, resolve, reject, test, a, b) {
+			var self = this;
+			context.reduce(test, function(result) {
+				if (result.isValue()) {
+					context.reduce(result.isTrue(context) ? a : b, resolve, reject);
+				} else {
+					context.reduceAll([a, b], function(results) {
+						resolve(CalculatorTree.newTernary(self, result, results[0], results[1], undefined));
+					}, reject);
+				}
+			}, reject);
+		}, undefined).separator = lang(':');
 		precedence++;
 		add('||', 'left', function(context, resolve, reject, a, b) {
 			var self = this;
 			context.reduce(a, function(a) {
-				if (a.isValue() && a.getValue(context))
+				if (a.isValue() && a.isTrue(context))
 					resolve(a);
 				else
 					context.reduce(b, function(b) {
-						if (b.isValue() && b.getValue(context))
+						if (b.isValue() && b.isTrue(context))
 							resolve(b);
 						else
 							resolve(a.isValue() ? b : b.isValue() ? a : CalculatorTree.newBinary(self, a, b, undefined));
@@ -1028,11 +4423,11 @@ function loadCalculatorAPI() {
 		add('&&', 'left', function(context, resolve, reject, a, b) {
 			var self = this;
 			context.reduce(a, function(a) {
-				if (a.isValue() && !a.getValue(context))
+				if (a.isValue() && !a.isTrue(context))
 					resolve(a);
 				else
 					context.reduce(b, function(b) {
-						if (b.isValue() && !b.getValue(context))
+						if (b.isValue() && !b.isTrue(context))
 							resolve(b);
 						else
 							resolve(a.isValue() ? b : b.isValue() ? a : CalculatorTree.newBinary(self, a, b, undefined));
@@ -1057,21 +4452,22 @@ function loadCalculatorAPI() {
 		}, undefined);
 		// ...  ... ()
 		precedence++;
-		add('|', 'left', undefined, binary(binaryType, function(a, b) { return a | b; })); // bitwise OR
+		// Bitwise operators also accept booleans, like "true | false" giving 1
+		add('|', 'left', undefined, binary(binaryType, function(a, b) { return a | b; })).typed('binary', ['number|boolean', 'number|boolean']); // bitwise OR
 		precedence++;
-		add('^', 'left', undefined, binary(binaryType, function(a, b) { return a ^ b; })); // bitwise XOR
+		add('^', 'left', undefined, binary(binaryType, function(a, b) { return a ^ b; })).typed('binary', ['number|boolean', 'number|boolean']); // bitwise XOR
 		precedence++;
-		add('&', 'left', undefined, binary(binaryType, function(a, b) { return a & b; })); // bitwise AND
+		add('&', 'left', undefined, binary(binaryType, function(a, b) { return a & b; })).typed('binary', ['number|boolean', 'number|boolean']); // bitwise AND
 		precedence++;
-		add('===', 'left', undefined, binary(booleanType, function(a, b) { return a === b; }));
-		add('!==', 'left', undefined, binary(booleanType, function(a, b) { return a !== b; }));
-		add('==', 'left', undefined, binary(booleanType, /*jslint eqeq: true*/function(a, b) { return a == b; }));
-		add('!=', 'left', undefined, binary(booleanType, /*jslint eqeq: true*/function(a, b) { return a != b; }));
+		add('===', 'left', undefined, binary(booleanType, function(a, b) { return a === b; })).typed('boolean', ['any', 'any']);
+		add('!==', 'left', undefined, binary(booleanType, function(a, b) { return a !== b; })).typed('boolean', ['any', 'any']);
+		add('==', 'left', undefined, binary(booleanType, /*jslint eqeq: true*/function(a, b) { return a == b; })).typed('boolean', ['any', 'any']);
+		add('!=', 'left', undefined, binary(booleanType, /*jslint eqeq: true*/function(a, b) { return a != b; })).typed('boolean', ['any', 'any']);
 		precedence++;
-		add('<', 'left', undefined, binary(booleanType, function(a, b) { return a < b; }));
-		add('>', 'left', undefined, binary(booleanType, function(a, b) { return a > b; }));
-		add('<=', 'left', undefined, binary(booleanType, function(a, b) { return a <= b; }));
-		add('>=', 'left', undefined, binary(booleanType, function(a, b) { return a >= b; }));
+		add('<', 'left', undefined, binary(booleanType, function(a, b) { return a < b; })).typed('boolean', ['any', 'any']);
+		add('>', 'left', undefined, binary(booleanType, function(a, b) { return a > b; })).typed('boolean', ['any', 'any']);
+		add('<=', 'left', undefined, binary(booleanType, function(a, b) { return a <= b; })).typed('boolean', ['any', 'any']);
+		add('>=', 'left', undefined, binary(booleanType, function(a, b) { return a >= b; })).typed('boolean', ['any', 'any']);
 		add('∈', 'left', function(context, resolve, reject, a, b) {
 			var self = this;
 			context.reduceAll([a, b], function(results) {
@@ -1097,58 +4493,405 @@ function loadCalculatorAPI() {
 		}, undefined);
 		// instanceof
 		precedence++;
-		add('<<', 'left', undefined, binary(integerType, function(a, b) { return a << b; }));
-		add('>>', 'left', undefined, binary(integerType, function(a, b) { return a >> b; }));
-		add('>>>', 'left', undefined, binary(integerType, function(a, b) { return a >>> b; }));
+		add('<<', 'left', undefined, binary(integerType, function(a, b) { return a << b; })).typed('integer', ['number', 'number']);
+		add('>>', 'left', undefined, binary(integerType, function(a, b) { return a >> b; })).typed('integer', ['number', 'number']);
+		add('>>>', 'left', undefined, binary(integerType, function(a, b) { return a >>> b; })).typed('integer', ['number', 'number']);
 		precedence++;
 		add('+', 'left', undefined, function(context, resolve, reject, a, b) {
 			var value = a.getValue(context) + b.getValue(context); // number addition and string concatenation
 			resolve(CalculatorTree.newConstant(typeof value === 'string' ? stringType : floatType, value, undefined));
-		});
-		add('-', 'left', undefined, binary(floatType, function(a, b) { return a - b; }));
+		}).typed(undefined, ['number|boolean|string|date|time|datetime|duration|array', 'number|boolean|string|date|time|datetime|duration|array']);
+		add('-', 'left', undefined, binary(floatType, function(a, b) { return a - b; })).typed(undefined, ['number|boolean|date|time|datetime|duration|array', 'number|boolean|date|time|datetime|duration|array']);
 		precedence++;
-		add('*', 'left', undefined, binary(floatType, function(a, b) { return a * b; })); // &#x00D7;
-		add('/', 'left', undefined, binary(floatType, function(a, b) { return a / b; })); // &#x00F7;
-		add('%', 'left', undefined, binary(floatType, function(a, b) { return a % b; }));
+		add('*', 'left', undefined, binary(floatType, function(a, b) { return a * b; })).typed(undefined, ['number|boolean|duration|array', 'number|boolean|duration|array']); // &#x00D7;
+		add('/', 'left', undefined, binary(floatType, function(a, b) { return a / b; })).typed(undefined, ['number|boolean|duration|array', 'number|boolean|array']); // &#x00F7;
+		add('%', 'left', undefined, binary(floatType, function(a, b) { return a % b; })).typed(undefined, ['number|boolean', 'number|boolean']);
 		precedence++;
-		add('**', 'right', undefined, binary(floatType, function(a, b) { return Math.pow(a, b); }));
+		add('**', 'right', undefined, binary(floatType, function(a, b) { return Math.pow(a, b); })).typed(undefined, ['number|boolean', 'number|boolean']);
 		precedence++;
-		add('√', 'prefix', undefined, unary(floatType, function(a) { return Math.sqrt(a); }));
-		add('!', 'prefix', undefined, unary(booleanType, function(a) { return !a; })); // logical not
-		add('~', 'prefix', undefined, unary(undefined, function(a) { return ~a; })); // bitwise not
-		add('+', 'prefix', undefined, unary(undefined, function(a) { return +a; }));
-		add('-', 'prefix', undefined, unary(undefined, function(a) { return -a; }));
+		add('√', 'prefix', undefined, unary(floatType, function(a) { return Math.sqrt(a); })).typed('number', ['number']);
+		add('!', 'prefix', undefined, unary(booleanType, function(a) { return !a; })).typed('boolean', ['any']); // logical not
+		add('~', 'prefix', undefined, unary(undefined, function(a) { return ~a; })).typed(undefined, ['number']); // bitwise not
+		add('+', 'prefix', undefined, unary(undefined, function(a) { return +a; })).typed(undefined, ['number|boolean|duration|array']);
+		add('-', 'prefix', undefined, unary(undefined, function(a) { return -a; })).typed(undefined, ['number|boolean|duration|array']);
 		add('++', 'prefix', variable(function(c, v) { var r = v.getValue(c) + 1; v.setValue(c, r); return r; }));
 		add('--', 'prefix', variable(function(c, v) { var r = v.getValue(c) - 1; v.setValue(c, r); return r; }));
 		precedence++;
-		add('²', 'postfix', undefined, unary(undefined, function(a) { return Math.pow(a, 2); }));
-		add('³', 'postfix', undefined, unary(undefined, function(a) { return Math.pow(a, 3); }));
+		add('²', 'postfix', undefined, unary(undefined, function(a) { return Math.pow(a, 2); })).typed(undefined, ['number']);
+		add('³', 'postfix', undefined, unary(undefined, function(a) { return Math.pow(a, 3); })).typed(undefined, ['number']);
 		add('++', 'postfix', variable(function(c, v) { var r = v.getValue(c); v.setValue(c, r + 1); return r; }));
 		add('--', 'postfix', variable(function(c, v) { var r = v.getValue(c); v.setValue(c, r - 1); return r; }));
-		add('!', 'postfix', undefined, unary(integerType, function(a) { var result = 1; var v = Math.round(a); while (v !== 0) result *= v--; return result; })); // factorielle
+		add('!', 'postfix', undefined, unary(integerType, factorial)).typed('integer', ['number']); // factorielle
 		precedence++;
-		// add('.', 'left', binary(function(a, b) { return a[b]; })); // member access
+		// Member access (like "d.year"), indexing (like "arr[2]") and slicing (like "arr[1:3]") are handled by the parser (see CalculatorParser.Exp)
+
+		// Date arithmetic, like "2018/04/13" + 3d, "2018/04/13" - "2018/04/01" or "13:50:00" + 2h30m
+		var durationType = calculator.types.filter(function(t) { return t.name === 'duration'; })[0];
+		var datetimeType = calculator.types.filter(function(t) { return t.name === 'datetime'; })[0];
+		function isDate(context, tree) {
+			var type = tree.getType();
+			return !!type && ['date', 'datetime', 'time'].indexOf(type.name) >= 0 && tree.getValue(context) !== null;
+		}
+		function isDuration(context, tree) {
+			return tree.getValue(context) instanceof CalculatorDuration;
+		}
+		function isNumber(context, tree) {
+			return typeof tree.getValue(context) === 'number';
+		}
+		// Datetimes with a time zone are compared using their UTC time
+		function instant(context, tree) {
+			var value = tree.getValue(context), type = tree.getType();
+			return dateValueToTime(value) - (type.offset ? type.offset(value) * 60000 : 0);
+		}
+		function shift(sign) {
+			return function(context, resolve, reject, a, b) {
+				var date = isDate(context, a) ? a : b, other = (date === a) ? b : a, value = other.getValue(context), type = date.getType();
+				// Numbers are days, like in spreadsheets
+				var duration = (value instanceof CalculatorDuration ? value : new CalculatorDuration(0, value, 0)).multiply(sign);
+				// A date moved by a duration with hours, minutes or seconds becomes a datetime
+				if (type.name === 'date' && duration.hasTime() && datetimeType)
+					type = datetimeType;
+				var start = date.getValue(context), result;
+				if (start.zone !== undefined) {
+					// In a time zone, months and days move the local time (like "2018/04/13 13:50:42 Europe/Paris" + 1d) but hours, minutes and seconds
+					// move the UTC time, across daylight saving time changes (like "2018/03/25 01:30:00 Europe/Paris" + 1h giving 03:30:00)
+					var day = dateValueFromTime(new CalculatorDuration(duration.months, duration.days, 0).addTo(dateValueToTime(start)), true, true);
+					day.zone = start.zone;
+					result = type.toZone(dateValueFromTime(dateValueToTime(day) - type.offset(day) * 60000 + duration.seconds * 1000, true, true), start.zone);
+				} else {
+					result = dateValueFromTime(duration.addTo(dateValueToTime(start)), type.name !== 'time', type.name !== 'date');
+					// The UTC offset is kept, like in "2018/04/13 13:50:42 +02:00" + 1h
+					if (start.offset !== undefined)
+						result.offset = start.offset;
+				}
+				resolve(CalculatorTree.newConstant(type, result, undefined));
+			};
+		}
+		function overloadDates(token, accept, calculate) {
+			var operator = calculator.binaryOperators[lang(token).toLowerCase()];
+			if (operator)
+				operator.overload(accept, calculate);
+		}
+		overloadDates('+', function(context, a, b) {
+			return (isDate(context, a) && (isDuration(context, b) || isNumber(context, b))) || ((isDuration(context, a) || isNumber(context, a)) && isDate(context, b));
+		}, shift(1));
+		overloadDates('-', function(context, a, b) {
+			return isDate(context, a) && (isDuration(context, b) || isNumber(context, b));
+		}, shift(-1));
+		overloadDates('-', function(context, a, b) {
+			return isDate(context, a) && isDate(context, b);
+		}, function(context, resolve, reject, a, b) {
+			var duration = CalculatorDuration.between(instant(context, b), instant(context, a));
+			resolve(CalculatorTree.newConstant(durationType, duration, undefined));
+		});
+		function acceptDates(context, a, b) {
+			return isDate(context, a) && isDate(context, b);
+		}
+		function comparison(test) {
+			return function(context, resolve, reject, a, b) {
+				var x = instant(context, a), y = instant(context, b);
+				resolve(CalculatorTree.newConstant(booleanType, test(x < y ? -1 : x > y ? 1 : 0), undefined));
+			};
+		}
+		overloadDates('==', acceptDates, comparison(function(c) { return c === 0; }));
+		overloadDates('===', acceptDates, comparison(function(c) { return c === 0; }));
+		overloadDates('!=', acceptDates, comparison(function(c) { return c !== 0; }));
+		overloadDates('!==', acceptDates, comparison(function(c) { return c !== 0; }));
+		overloadDates('<', acceptDates, comparison(function(c) { return c < 0; }));
+		overloadDates('>', acceptDates, comparison(function(c) { return c > 0; }));
+		overloadDates('<=', acceptDates, comparison(function(c) { return c <= 0; }));
+		overloadDates('>=', acceptDates, comparison(function(c) { return c >= 0; }));
+
+		// Duration arithmetic, like 2h30m + 45m, 3d * 2 or -1w, where months have to stay whole (P1M / 2 is rejected)
+		function durations(calculate) {
+			return function(context, resolve, reject, a, b) {
+				var result = calculate(a.getValue(context), b && b.getValue(context));
+				if (Math.floor(result.months) !== result.months)
+					reject(new CalculatorError(undefined, undefined, 0, 'Invalid duration "%0"', [result.toString()]));
+				else
+					resolve(CalculatorTree.newConstant(durationType, result, undefined));
+			};
+		}
+		// Durations are only added to durations and dates, so that "3d + 'x'" or "5 + 3m" are rejected instead of being concatenated
+		overloadDates('+', function(context, a, b) {
+			return isDuration(context, a) !== isDuration(context, b) && !isDate(context, a) && !isDate(context, b);
+		}, function(context, resolve, reject, a, b) {
+			reject(new CalculatorError(undefined, undefined, 0, 'Incompatible operands "%0" and "%1"', [context.calculator.format(a), context.calculator.format(b)]));
+		});
+		overloadDates('-', function(context, a, b) {
+			return isDuration(context, a) !== isDuration(context, b) && !isDate(context, a);
+		}, function(context, resolve, reject, a, b) {
+			reject(new CalculatorError(undefined, undefined, 0, 'Incompatible operands "%0" and "%1"', [context.calculator.format(a), context.calculator.format(b)]));
+		});
+		overloadDates('+', function(context, a, b) { return isDuration(context, a) && isDuration(context, b); }, durations(function(a, b) { return a.add(b); }));
+		overloadDates('-', function(context, a, b) { return isDuration(context, a) && isDuration(context, b); }, durations(function(a, b) { return a.add(b.negate()); }));
+		overloadDates('*', function(context, a, b) {
+			return (isDuration(context, a) && isNumber(context, b)) || (isNumber(context, a) && isDuration(context, b));
+		}, durations(function(a, b) { return (a instanceof CalculatorDuration) ? a.multiply(b) : b.multiply(a); }));
+		overloadDates('/', function(context, a, b) { return isDuration(context, a) && isNumber(context, b); }, function(context, resolve, reject, a, b) {
+			if (b.getValue(context) === 0)
+				reject(new CalculatorError(undefined, undefined, 0, 'Division by zero'));
+			else
+				durations(function(x, y) { return x.multiply(1 / y); })(context, resolve, reject, a, b);
+		});
+		function acceptDurations(context, a, b) {
+			return isDuration(context, a) && isDuration(context, b);
+		}
+		function durationComparison(test) {
+			return function(context, resolve, reject, a, b) {
+				resolve(CalculatorTree.newConstant(booleanType, test(a.getValue(context).compare(b.getValue(context))), undefined));
+			};
+		}
+		overloadDates('==', acceptDurations, durationComparison(function(c) { return c === 0; }));
+		overloadDates('===', acceptDurations, durationComparison(function(c) { return c === 0; }));
+		overloadDates('!=', acceptDurations, durationComparison(function(c) { return c !== 0; }));
+		overloadDates('!==', acceptDurations, durationComparison(function(c) { return c !== 0; }));
+		overloadDates('<', acceptDurations, durationComparison(function(c) { return c < 0; }));
+		overloadDates('>', acceptDurations, durationComparison(function(c) { return c > 0; }));
+		overloadDates('<=', acceptDurations, durationComparison(function(c) { return c <= 0; }));
+		overloadDates('>=', acceptDurations, durationComparison(function(c) { return c >= 0; }));
+		if (calculator.prefixOperators['-'])
+			calculator.prefixOperators['-'].overload(isDuration, durations(function(a) { return a.negate(); }));
+	};
+
+	/**
+	 * Helper method to use arrays of numbers as vectors, like "[1, 2, 3]", and arrays of vectors as matrices, like "[[1, 2], [3, 4]]" :
+	 * - "+" and "-" work element-wise on arrays of the same shape, "*" and "/" work element-wise with a number
+	 * - "*" is the matrix product if one of the operands is a matrix, and works element-wise on vectors of the same size
+	 * - "dot", "cross", "transpose", "det", "inverse" and "solve" (solve(A, b) gives x so that A * x = b) are added as functions
+	 * Operands with incompatible shapes or singular matrices give a CalculatorError.
+	 * NB: this method should be called after "addDefaultTypes", "addDefaultFunctions" and "addDefaultOperators"
+	 *
+	 * @param {Function(String)->String} lang - a function to allow translation
+	 */
+	Calculator.prototype.addMatrixFunctions = function(lang) {
+		var calculator = this;
+		var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
+
+		function error(message, params) {
+			return new CalculatorError(undefined, undefined, 0, message, params);
+		}
+		// Returns [n] for a vector of n numbers, [n, m] for a matrix of n rows and m columns or throws an error for other values
+		function shapeOf(tree, value) {
+			if (Array.isArray(value) && value.length > 0) {
+				if (value.every(function(v) { return typeof v === 'number'; }))
+					return [value.length];
+				if (value.every(function(v) { return Array.isArray(v) && v.length === value[0].length && v.length > 0 && v.every(function(x) { return typeof x === 'number'; }); }))
+					return [value.length, value[0].length];
+			}
+			throw error('Invalid vector or matrix "%0"', [calculator.format(tree)]);
+		}
+		function incompatible(shapeA, shapeB) {
+			return error('Incompatible shapes %0 and %1', [shapeA.join('×'), shapeB.join('×')]);
+		}
+		function square(shape) {
+			if (shape.length !== 2 || shape[0] !== shape[1])
+				throw error('Square matrix expected but found %0', [shape.join('×')]);
+			return shape[0];
+		}
+		function toTree(value) {
+			if (Array.isArray(value))
+				return CalculatorTree.newArray(value.map(toTree));
+			return CalculatorTree.newConstant(floatType, value, undefined);
+		}
+		// "calculate(values, shapes)" gives a number, a vector or a matrix, where numbers have an undefined shape
+		function matrix(calculate) {
+			return function(context, resolve, reject) {
+				var params = Array.prototype.slice.call(arguments, 3), result;
+				try {
+					var values = params.map(function(p) { return p.getValue(context); });
+					var shapes = params.map(function(p, i) { return typeof values[i] === 'number' ? undefined : shapeOf(p, values[i]); });
+					result = calculate(values, shapes);
+				} catch (e) {
+					if (!(e instanceof CalculatorError))
+						throw e;
+					reject(e);
+					return;
+				}
+				resolve(toTree(result));
+			};
+		}
+
+		function map(value, calculate) {
+			return Array.isArray(value) ? value.map(function(v) { return map(v, calculate); }) : calculate(value);
+		}
+		function elementWise(calculate) {
+			return function(values, shapes) {
+				var a = values[0], b = values[1];
+				if (!shapes[0])
+					return map(b, function(y) { return calculate(a, y); });
+				if (!shapes[1])
+					return map(a, function(x) { return calculate(x, b); });
+				if (shapes[0].join() !== shapes[1].join())
+					throw incompatible(shapes[0], shapes[1]);
+				return a.map(function(x, i) {
+					return Array.isArray(x) ? x.map(function(xj, j) { return calculate(xj, b[i][j]); }) : calculate(x, b[i]);
+				});
+			};
+		}
+		function product(a, b) {
+			// Matrix product of n×p and p×m matrices
+			return a.map(function(row) {
+				return b[0].map(function(unused, j) {
+					return row.reduce(function(sum, x, k) { return sum + x * b[k][j]; }, 0);
+				});
+			});
+		}
+		function multiply(values, shapes) {
+			var a = values[0], b = values[1], sa = shapes[0], sb = shapes[1];
+			if (!sa || !sb || (sa.length === 1 && sb.length === 1))
+				return elementWise(function(x, y) { return x * y; })(values, shapes);
+			if ((sa.length === 1 ? sa[0] : sa[1]) !== sb[0])
+				throw incompatible(sa, sb);
+			// A vector is a column on the right side of a matrix, like in "A * x", and a row on the left side
+			var m = product(sa.length === 1 ? [a] : a, sb.length === 1 ? b.map(function(y) { return [y]; }) : b);
+			return (sb.length === 1) ? m.map(function(row) { return row[0]; }) : (sa.length === 1) ? m[0] : m;
+		}
+		function transpose(m) {
+			return m[0].map(function(unused, j) {
+				return m.map(function(row) { return row[j]; });
+			});
+		}
+		// Gauss-Jordan elimination with partial pivoting of the n×n matrix "a" augmented with the n×k matrix "b"
+		// Returns { det: determinant, x: solution of "a * x = b" } where x is undefined if "a" is singular
+		function eliminate(a, b) {
+			var n = a.length, rows = a.map(function(row, i) { return row.concat(b[i]); }), det = 1, i, j, k;
+			for (j = 0; j < n; j++) {
+				var pivot = j;
+				for (i = j + 1; i < n; i++) {
+					if (Math.abs(rows[i][j]) > Math.abs(rows[pivot][j]))
+						pivot = i;
+				}
+				if (Math.abs(rows[pivot][j]) < 1e-12)
+					return { det: 0, x: undefined };
+				if (pivot !== j) {
+					var t = rows[pivot];
+					rows[pivot] = rows[j];
+					rows[j] = t;
+					det = -det;
+				}
+				var p = rows[j][j];
+				det *= p;
+				for (k = j; k < rows[j].length; k++)
+					rows[j][k] /= p;
+				for (i = 0; i < n; i++) {
+					var f = rows[i][j];
+					if (i !== j && f !== 0) {
+						for (k = j; k < rows[i].length; k++)
+							rows[i][k] -= f * rows[j][k];
+					}
+				}
+			}
+			return { det: det, x: rows.map(function(row) { return row.slice(n); }) };
+		}
+		// The results of eliminations are rounded to 15 significant digits, so that "inverse([[1, 2], [3, 4]])" gives -2 and not -1.9999999999999996
+		function rounded(value) {
+			return map(value, function(x) { return Number(x.toPrecision(15)); });
+		}
+		function solution(result) {
+			if (!result.x)
+				throw error('Singular matrix');
+			return rounded(result.x);
+		}
+
+		function overload(operators, token, calculate) {
+			var operator = operators[lang(token).toLowerCase()];
+			if (operator)
+				operator.overload(acceptArrayValues, matrix(calculate));
+		}
+		overload(calculator.binaryOperators, '+', elementWise(function(x, y) { return x + y; }));
+		overload(calculator.binaryOperators, '-', elementWise(function(x, y) { return x - y; }));
+		overload(calculator.binaryOperators, '*', multiply);
+		overload(calculator.binaryOperators, '/', elementWise(function(x, y) {
+			if (y === 0)
+				throw error('Division by zero');
+			return x / y;
+		}));
+		overload(calculator.prefixOperators, '-', function(values) { return map(values[0], function(x) { return -x; }); });
+		overload(calculator.prefixOperators, '+', function(values) { return values[0]; });
+
+		// Arrays are only given to overloads (see "reducedCalculate"), so each function accepts them through an overload
+		function add(token, params, calculate) {
+			return calculator.addFunction(lang(token), lang(params), undefined, matrix(calculate)).overload(acceptArrayValues, matrix(calculate));
+		}
+		function vectors(values, shapes, size) {
+			if (!shapes[0] || !shapes[1] || shapes[0].length !== 1 || shapes[1].length !== 1 || shapes[0][0] !== shapes[1][0])
+				throw incompatible(shapes[0] || [1], shapes[1] || [1]);
+			if (size && shapes[0][0] !== size)
+				throw error('Vectors of %0 elements expected', [size]);
+			return values;
+		}
+		add('dot', 'a, b', function(values, shapes) {
+			var v = vectors(values, shapes);
+			return v[0].reduce(function(sum, x, i) { return sum + x * v[1][i]; }, 0);
+		}).typed('number', ['array', 'array']);
+		add('cross', 'a, b', function(values, shapes) {
+			var a = vectors(values, shapes, 3)[0], b = values[1];
+			return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+		}).typed('array', ['array', 'array']);
+		add('transpose', 'm', function(values, shapes) {
+			if (!shapes[0])
+				return values[0];
+			return transpose(shapes[0].length === 1 ? [values[0]] : values[0]);
+		}).typed(undefined, ['number|array']);
+		add('det', 'm', function(values, shapes) {
+			square(shapes[0] || [1]);
+			return rounded(eliminate(values[0], values[0].map(function() { return []; })).det);
+		}).typed('number', ['number|array']);
+		add('inverse', 'm', function(values, shapes) {
+			square(shapes[0] || [1]);
+			var identity = values[0].map(function(row, i) {
+				return row.map(function(unused, j) { return i === j ? 1 : 0; });
+			});
+			return solution(eliminate(values[0], identity));
+		}).typed(undefined, ['number|array']);
+		add('solve', 'A, b', function(values, shapes) {
+			var n = square(shapes[0] || [1]), sb = shapes[1] || [1];
+			if (sb[0] !== n)
+				throw incompatible(shapes[0], sb);
+			// "b" is either a vector, giving a vector, or a matrix, giving a matrix
+			var x = solution(eliminate(values[0], sb.length === 1 ? values[1].map(function(y) { return [y]; }) : values[1]));
+			return (sb.length === 1) ? x.map(function(row) { return row[0]; }) : x;
+		}).typed(undefined, ['number|array', 'number|array']);
 	};
 
 	return {
 		// No public method
 		CalculatorType: CalculatorType,
+		// Instance methods : round / strip / align / isZero / isInteger / compare / negate / add / subtract / multiply / divide / remainder / pow / toString
+		// Static methods : parse / fromNumber
+		CalculatorDecimal: CalculatorDecimal,
+		// Instance methods : abs / arg / conj / negate / equals / add / subtract / multiply / divide / exp / log / sqrt / pow / sin / cos / tan / asin / acos / atan / toString
+		// Static methods : fromPolar
+		CalculatorComplex: CalculatorComplex,
+		// Instance methods : isInteger / isZero / toNumber / compare / negate / add / subtract / multiply / divide / remainder / pow / toString
+		// Static methods : of / fromInteger
+		CalculatorFraction: CalculatorFraction,
+		// Instance methods : hasTime / negate / add / multiply / compare / addTo / toString
+		// Static methods : parse / between
+		CalculatorDuration: CalculatorDuration,
+		// Instance methods : isCompatible / isDimensionless / multiply / divide / pow / toString
+		CalculatorUnit: CalculatorUnit,
+		// Instance methods : toBase / to / isZero / toString
+		CalculatorQuantity: CalculatorQuantity,
 		// No public method
 		CalculatorLiteral: CalculatorLiteral,
-		// No public method
+		// Instance methods : overload / typed
 		CalculatorFunction: CalculatorFunction,
-		// No public method
+		// Instance methods : overload / typed
 		CalculatorOperator: CalculatorOperator,
 		// Instance methods : console / select / format
 		CalculatorError: CalculatorError,
-		// Instance methods : isValue / getValue / getType
-		// Static methods newConstant, newLiteral, newArray, newGrouping, newBinary, newPrefix, newPostfix, newFunction
+		// Instance methods : format
+		CalculatorAsyncError: CalculatorAsyncError,
+		// Instance methods : isValue / isArrayValue / getValue / getType
+		// Static methods newConstant, newLiteral, newArray, newGrouping, newBinary, newPrefix, newPostfix, newIndex, newSlice, newMember, newLambda, newTernary, newPlaceholder, newFunction, at
 		CalculatorTree: CalculatorTree,
-		// Instance methods : reduce / reduceAll
+		// Instance methods : newChild / addLiteral / findLiteral / reduce / reduceSource / reduceAll
 		CalculatorContext: CalculatorContext,
 		// Private class
 		// CalculatorParser: Calculator,
-		// Instance methods : addType / addLiteral / addFunction / addOperator / parse / format / addDefault*
+		// Instance methods : addType / addTypeGroup / addLiteral / addFunction / addOperator / declareVariable / parse / parseTolerant / check / evaluate / evaluateSync / format / prettyFormat / addDefault* / addDecimalType / addProgrammerMode / addComplexType / addFractionType / addQuantityType / addUnit / addMatrixFunctions / addStringFunctions / addStatisticsFunctions / addFinancialFunctions
 		Calculator: Calculator,
 	};
 }
@@ -3,11 +3,12 @@
  * - GOOGLE : https://developers.google.com/web/fundamentals/primers/service-workers/#update-a-service-worker
  * - MOZILLA : https://developer.mozilla.org/en-US/docs/Web/API/Service_Worker_API/Using_Service_Workers
  */
-var cacheName = 'v4';
+var cacheName = 'v5';
 var baseCacheContent = [
 	'./libs/jquery/jquery.min.js',
 	'./libs/moment/moment-fr.js',
 	'./libs/moment/moment.min.js',
+	'./libs/moment-timezone/moment-timezone-with-data-1970-2030.min.js',
 	'calculator.js',
 	'webapps-calculator.css',
 	'webapps-calculator.html',
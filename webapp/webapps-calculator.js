@@ -24,6 +24,108 @@ var languages = {
 		'Un-terminated string started at position %0': 'Chaine non terminée commencée à la position %0',
 		'Found "%1" but expecting "%2" at position %0': '"%1" trouvé mais "%2" attendu à la position %0',
 		'Expecting a value but found "%1" at position %0': '"%1" trouvé mais une valeur était attendue à la position %0',
+		'Unknown variable "%1" at position %0': 'Variable "%1" inconnue à la position %0',
+		'Unknown function "%1" at position %0': 'Fonction "%1" inconnue à la position %0',
+		'Expecting "(" after function "%1" at position %0': '"(" attendue après la fonction "%1" à la position %0',
+		'"%1" can not be redefined at position %0': '"%1" ne peut pas être redéfini à la position %0',
+		'Too few parameters for "%1" at position %0': 'Paramètres manquants pour "%1" à la position %0',
+		'Too many parameters for "%1" at position %0': 'Trop de paramètres pour "%1" à la position %0',
+		'Parameter %2 of "%1" expects "%3" but found "%4" at position %0': 'Le paramètre %2 de "%1" attend "%3" mais a trouvé "%4" à la position %0',
+		'Invalid parameter count for function "%0"': 'Nombre de paramètres incorrect pour la fonction "%0"',
+		'Undefined result for "%0"': 'Résultat indéfini pour "%0"',
+		'Infinite result for "%0"': 'Résultat infini pour "%0"',
+		'Unrecognized unit "%0"': 'Unité "%0" inconnue',
+		'No conversion from "%0" to "%1"': 'Pas de conversion de "%0" vers "%1"',
+		'"%0" can not be evaluated synchronously': '"%0" ne peut pas être évalué de manière synchrone',
+		'Division by zero': 'Division par zéro',
+		'in': 'en',
+		'Incompatible quantities "%0" and "%1"': 'Les quantités "%0" et "%1" sont incompatibles',
+		'Invalid power %1 of quantity "%0"': 'Puissance %1 invalide pour la quantité "%0"',
+		'Invalid vector or matrix "%0"': 'Vecteur ou matrice "%0" invalide',
+		'Incompatible shapes %0 and %1': 'Les dimensions %0 et %1 sont incompatibles',
+		'Square matrix expected but found %0': 'Matrice carrée attendue mais %0 trouvée',
+		'Vectors of %0 elements expected': 'Vecteurs de %0 éléments attendus',
+		'Singular matrix': 'Matrice non inversible',
+		'solve': 'résoudre',
+		'Number expected but found "%0"': 'Nombre attendu mais "%0" trouvé',
+		'Integer or fraction expected but found "%0"': 'Entier ou fraction attendu mais "%0" trouvé',
+		'At least %0 values expected': 'Au moins %0 valeurs attendues',
+		'Value between %0 and %1 expected but found "%2"': 'Valeur entre %0 et %1 attendue mais "%2" trouvé',
+		'Arrays of the same size expected': 'Tableaux de même taille attendus',
+		'sum': 'somme',
+		'mean': 'moyenne',
+		'median': 'médiane',
+		'values, k': 'valeurs, k',
+		'values, q': 'valeurs, q',
+		'Date expected but found "%0"': 'Date attendue mais "%0" trouvé',
+		'Time expected but found "%0"': 'Heure attendue mais "%0" trouvé',
+		'Time "%1" does not exist in time zone "%2" at position %0': 'L\'heure "%1" n\'existe pas dans le fuseau horaire "%2" à la position %0',
+		'The calculation does not converge': 'Le calcul ne converge pas',
+		'No solution for "%0"': 'Pas de solution pour "%0"',
+		'Positive and negative values expected': 'Valeurs positives et négatives attendues',
+		'Rate greater than -1 expected but found "%0"': 'Taux supérieur à -1 attendu mais "%0" trouvé',
+		'rate': 'taux',
+		'amortization': 'amortissement',
+		'rate, nper, pv, fv, type': 'taux, npm, va, vc, type',
+		'rate, nper, pmt, fv, type': 'taux, npm, vpm, vc, type',
+		'rate, nper, pmt, pv, type': 'taux, npm, vpm, va, type',
+		'rate, pmt, pv, fv, type': 'taux, vpm, va, vc, type',
+		'nper, pmt, pv, fv, type, guess': 'npm, vpm, va, vc, type, estimation',
+		'rate, v1, v2*': 'taux, v1, v2*',
+		'values, guess': 'valeurs, estimation',
+		'values, dates, guess': 'valeurs, dates, estimation',
+		'now': 'maintenant',
+		'today': 'aujourdhui',
+		'addMonths': 'ajouterMois',
+		'diffDays': 'écartJours',
+		'weekday': 'jourSemaine',
+		'workdays': 'joursOuvrés',
+		'date, months': 'date, mois',
+		'start, end': 'début, fin',
+		'Time zone expected but found "%0"': 'Fuseau horaire attendu mais "%0" trouvé',
+		'Incompatible operands "%0" and "%1"': 'Les opérandes "%0" et "%1" sont incompatibles',
+		'Invalid duration "%0"': 'Durée "%0" invalide',
+		'tz': 'fuseau',
+		'utcoffset': 'décalageUTC',
+		'datetime, zone': 'dateheure, fuseau',
+		'datetime': 'dateheure',
+		'String expected but found "%0"': 'Texte attendu mais "%0" trouvé',
+		'Integer expected but found "%0"': 'Entier attendu mais "%0" trouvé',
+		'Positive integer expected but found "%0"': 'Entier positif attendu mais "%0" trouvé',
+		'Invalid regular expression "%0"': 'Expression régulière "%0" invalide',
+		'len': 'longueur',
+		'upper': 'majuscules',
+		'lower': 'minuscules',
+		'replace': 'remplacer',
+		'split': 'découper',
+		'join': 'joindre',
+		'repeat': 'répéter',
+		'text': 'texte',
+		'text, start, length': 'texte, début, longueur',
+		'text, search, start': 'texte, recherche, début',
+		'text, search, replacement': 'texte, recherche, remplacement',
+		'text, separator': 'texte, séparateur',
+		'values, separator': 'valeurs, séparateur',
+		'text, count': 'texte, nombre',
+		'text, length, pad': 'texte, longueur, complément',
+		'text, pattern, flags': 'texte, motif, options',
+		'"%0" can not be modified': '"%0" ne peut pas être modifié',
+		'Unknown member "%1" at position %0': 'Membre "%1" inconnu à la position %0',
+		'Array or string expected but found "%1" at position %0': 'Tableau ou texte attendu mais "%1" trouvé à la position %0',
+		'Invalid index "%1" at position %0': 'Indice "%1" invalide à la position %0',
+		'Index "%1" out of range at position %0': 'Indice "%1" hors limites à la position %0',
+		'Array expected but found "%0"': 'Tableau attendu mais "%0" trouvé',
+		'Function expected but found "%0"': 'Fonction attendue mais "%0" trouvée',
+		'Duplicate parameter "%1" at position %0': 'Paramètre "%1" en double à la position %0',
+		'At most %0 values expected': 'Au plus %0 valeurs attendues',
+		'Non-zero step expected': 'Pas non nul attendu',
+		'filter': 'filtrer',
+		'reduce': 'réduire',
+		'sort': 'trier',
+		'range': 'suite',
+		'values, f': 'valeurs, f',
+		'values, f, initial': 'valeurs, f, initial',
+		'start, end, step': 'début, fin, pas',
 	},
 	'en': {
 		'Placeholder': 'Calculator',
@@ -41,15 +143,17 @@ function lang(text) {
 	return language[text] || text;
 }
 
-function Converter() {
+// Les erreurs de conversion sont des "CalculatorError" (voir loadCalculatorAPI), pour être positionnées dans la formule
+function Converter(CalculatorError) {
+	this.CalculatorError = CalculatorError;
 	this.categories = [];
 
-	this.startCategory('Accélération');
+	this.startCategory('Accélération', { m: 1, s: -2 }, 1);
 	this.addUnit('mètre par seconde carrée', 1, 'm/s²');
 	this.addUnit('gravité', 9.80665, 'g');
 	this.addUnit('gal', 0.01, 'Gal', 'galileo');
 
-	this.startCategory('Angle');
+	this.startCategory('Angle', { rad: 1 }, 180 / Math.PI);
 	this.addUnit('degré', 1, '°', 'deg', 'degree');
 	this.addUnit('grade', 0.9, 'gr', 'gon', 'gradian'); // 1/100 d'angle droit
 	this.addUnit('radian', 360 / (2 * Math.PI), 'rad');
@@ -61,12 +165,12 @@ function Converter() {
 	this.addUnit('minute angulaire', { d: 60 }, '′'); // ou arcminute ou Minute d'arc
 	this.addUnit('seconde angulaire', { d: 3600 }, '″'); // ou arcseconde ou Seconde d'arc
 
-	this.startCategory('Charge');
+	this.startCategory('Charge', { A: 1, s: 1 }, 1 / 3.6);
 	this.addUnit('ampère heure', 1000, 'Ah');
 	this.addUnit('milliampère heure', 1, 'mAh');
 	this.addUnit('coulomb', { m: 1000, d: 3600 }, 'C'); // 1 As
 
-	this.startCategory('Energie');
+	this.startCategory('Energie', { kg: 1, m: 2, s: -2 }, 1);
 	this.addUnit('calorie', 4.1868, 'cal'); // calorie
 	this.addUnit('kilocalorie', 4186.8, 'kcal'); // kilocalorie
 	this.addUnit('thermie', 4186800, 'th'); // Mégacalorie
@@ -84,7 +188,7 @@ function Converter() {
 	this.addUnit('Nagasaki', 22000 * 4.184e9, 'Fat Man'); // 21 à 23 000 tonnes TNT
 	this.addUnit('erg', 1e-7, '');
 
-	this.startCategory('Force');
+	this.startCategory('Force', { kg: 1, m: 1, s: -2 }, 1);
 	this.addUnit('newton', 1, 'N'); // 1 kg.m/s2
 	this.addUnit('dyne', 1e-5, 'dyn');
 	this.addUnit('sthène', 1000, 'sn');
@@ -93,12 +197,12 @@ function Converter() {
 	this.addUnit('ounce-force', 0.2780138509537812, 'ozf'); // 1 oz av × gn
 	this.addUnit('pound-force', 4.4482216152605, 'lbf'); // 1 lb av × gn
 
-	this.startCategory('Intensité lumineuse');
+	this.startCategory('Intensité lumineuse', { cd: 1 }, 0.1);
 	this.addUnit('candela', 0.1, 'cd');
 	this.addUnit('bougie', 1.018, '');
 	this.addUnit('carcel', 9.8, '');
 
-	this.startCategory('Longueur');
+	this.startCategory('Longueur', { m: 1 }, 1e9);
 	this.addUnits(1, 10, 'nm,nanomètre,,,,,μm,micromètre,,,,,mm,millimètre,cm,centimètre,dm,décimètre,m,mètre,dam,décamètre,hm,hectomètre,km,kilomètre,,,,,Mm,mégamètre');
 	this.addUnit('ångström', 0.1, 'Å');
 	this.addUnit('chaîne', 20116800000, ''); // 1000 liens
@@ -128,7 +232,7 @@ function Converter() {
 	this.addUnit('terrain de football', 91440000000, '');  // 100 yard
 	this.addUnit('unité astronomique', 149597870700000000000, 'ua'); // 149597870700 mètres
 
-	this.startCategory('Masse');
+	this.startCategory('Masse', { kg: 1 }, 1e6);
 	this.addUnits(1, 10, 'mg,milligramme,cg,centigramme,dg,décigramme,g,gramme,dag,décagramme,hg,hectogramme,kg,kilogramme,,,q,quintal,t,tonne');
 	this.addUnit('carat', 200, 'ct');
 	this.addUnit('livre', 453592.37, 'lb');
@@ -150,7 +254,7 @@ function Converter() {
 	this.addUnit('masse solaire', 1.9884e36, ''); // 1.98855e30 kg sur wikipedia EN mais 1.9884e30 kg sur wikipedia FR
 	this.addUnit('masse atomique', 1.660538921e-21, 'u', 'dalton', 'uma', 'Da'); // 1.660539040e−27 kg sur wikipedia EN mais 1.660538921e-27 kg sur wikipedia FR
 
-	this.startCategory('Pression');
+	this.startCategory('Pression', { kg: 1, m: -1, s: -2 }, 1);
 	this.addUnit('pascal', 1, 'Pa'); // 1 N/m²
 	this.addUnit('barye', 0.1, 'ba'); // 1 dyn/cm2
 	this.addUnit('bar', 100000, 'bar');
@@ -159,7 +263,7 @@ function Converter() {
 	this.addUnit('atmosphère technique', 98066, 'at', 'technical atmosphere');
 	this.addUnit('livre par pied carré', 47.9, 'psf', 'pound per square foot'); // 1 lb av × gn / 1 sq ft
 
-	this.startCategory('Puissance');
+	this.startCategory('Puissance', { kg: 1, m: 2, s: -3 }, 1);
 	this.addUnit('watt', 1, 'W'); // = 1 J/s = 1 kg.m2.s-3
 	this.addUnit('joule par seconde', 1, 'J.s-1');
 	this.addUnit('newton-mètre par seconde', 1, 'N.m.s-1');
@@ -170,7 +274,7 @@ function Converter() {
 	this.addUnit('térawatt', 1e12, 'TW');
 	this.addUnit('erg par seconde', 1e-7, ''); // 1 g.cm2.s-3
 
-	this.startCategory('Surface');
+	this.startCategory('Surface', { m: 2 }, 1);
 	this.addUnit('millimètre carré', 0.000001, 'mm²');
 	this.addUnit('centimètre carré', 0.0001, 'cm²');
 	this.addUnit('décimètre carré', 0.01, 'dm²');
@@ -187,14 +291,14 @@ function Converter() {
 	this.addUnit('pouce carré', { m: 0.09290304, d: 12*12}, 'in²'); // 1 pouce = 1/12 de pied
 	this.addUnit('acre', 4046.856422, '');
 
-	this.startCategory('Température');
-	this.addUnit('Celsius', { m: 1.8, o: 491.57 }, '°C');
-	this.addUnit('Fahrenheit', { m: 1, o: 459.57 }, '°F');
+	this.startCategory('Température', { K: 1 }, 1.8);
+	this.addUnit('Celsius', { m: 1.8, o: 491.67 }, '°C');
+	this.addUnit('Fahrenheit', { m: 1, o: 459.67 }, '°F');
 	this.addUnit('Rankine', 1, 'R', '°Ra');
 	this.addUnit('kelvin', 1.8, 'K');
 	this.addUnit('Réaumur', { m: 2.25, o: 491.67 }, 'r', '°Ré');
 
-	this.startCategory('Temps');
+	this.startCategory('Temps', { s: 1 }, 1);
 	this.addUnit('nanoseconde', 1e-9, 'ns');
 	this.addUnit('microseconde', 1e-6, 'μs');
 	this.addUnit('milliseconde', 1e-3, 'ms');
@@ -212,13 +316,13 @@ function Converter() {
 	this.addUnit('millénaire', 31556926080, '');
 	this.addUnit('Plank', 5.39106e-44, 'tP'); // 5.39106e-44 s
 
-	this.startCategory('Vitesse');
+	this.startCategory('Vitesse', { m: 1, s: -1 }, 1);
 	this.addUnit('mètre par seconde', 1, 'm/s');
 	this.addUnit('kilomètre par heure', { m: 1000, d: 3600 }, 'km/h');
 	this.addUnit('noeud', { m: 1852, d: 3600 }, 'nd'); // 1 M marin/h soit 1.852 km/h
 	this.addUnit('mach', 340, 'Ma'); // soit 1 224 km.h-1
 
-	this.startCategory('Volume');
+	this.startCategory('Volume', { m: 3 }, 1e9);
 	this.addUnits(1, 1000, 'mm3,millimètre cube,cm3,centimètre cube,dm3,décimètre cube,m3,mètre cube');
 	this.addUnits(1000, 10, 'ml,millilitre,cl,centilitre,dl,décilitre,l,litre,,,hl,hectolitre');
 	this.addUnit('gallon américain', 3785411.784, '');
@@ -246,11 +350,11 @@ function Converter() {
 Converter.prototype.convert = function(value, srcUnit, dstUnit) {
 	var candidates1 = this.findCandidates(srcUnit);
 	if (candidates1.length === 0)
-		throw Error('Unrecognized unit ' + srcUnit);
+		throw this.error('Unrecognized unit "%0"', [srcUnit]);
 
 	var candidates2 = this.findCandidates(dstUnit);
 	if (candidates2.length === 0)
-		throw Error('Unrecognized unit ' + dstUnit);
+		throw this.error('Unrecognized unit "%0"', [dstUnit]);
 
 	for (var i1 = 0; i1 < candidates1.length; i1++) {
 		for (var i2 = 0; i2 < candidates2.length; i2++) {
@@ -265,7 +369,11 @@ Converter.prototype.convert = function(value, srcUnit, dstUnit) {
 			}
 		}
 	}
-	throw Error('No conversion from ' + srcUnit + ' to ' + dstUnit);
+	throw this.error('No conversion from "%0" to "%1"', [srcUnit, dstUnit]);
+};
+
+Converter.prototype.error = function(message, params) {
+	return new this.CalculatorError(undefined, undefined, 0, message, params);
 };
 
 Converter.prototype.findCandidates = function(name) {
@@ -281,8 +389,9 @@ Converter.prototype.findCandidates = function(name) {
 	return candidates;
 };
 
-Converter.prototype.startCategory = function(name) {
-	this.category = { name: lang(name), units: [] };
+// La dimension (exposants des unités SI) et la valeur de l'unité SI de la catégorie (1 m = 1e9 nm par exemple)
+Converter.prototype.startCategory = function(name, dimension, siValue) {
+	this.category = { name: lang(name), units: [], dimension: dimension, siValue: siValue };
 	this.categories.push(this.category);
 };
 
@@ -308,6 +417,25 @@ Converter.prototype.addUnits = function(startValue, multiplier, units) {
 	}
 };
 
+// Ajoute les unités ayant un symbole utilisable dans une formule, comme "5 km + 300 m" (voir Calculator.addQuantityType)
+Converter.prototype.addUnitsTo = function(calculator) {
+	var self = this;
+	this.categories.forEach(function(category) {
+		if (!category.dimension)
+			return;
+		category.units.forEach(function(unit) {
+			// Les symboles comme "m/s²" ou "lb ft" sont des expressions et "in" est un opérateur
+			if (!unit.symbol || !/^[^\s\d()\[\],+\-*\/%^&|!~<>=?²³√∈."][^\s()\[\],+\-*\/%^&|!~<>=?²³√∈."]*$/.test(unit.symbol)
+					|| calculator.binaryOperators.hasOwnProperty(unit.symbol.toLowerCase()))
+				return;
+			// Valeur SI = valeur × facteur + décalage (pour les températures)
+			var offset = self.apply(0, unit.value, false);
+			var factor = self.apply(1, (typeof unit.value === 'number') ? unit.value : { m: unit.value.m, d: unit.value.d }, false);
+			calculator.addUnit(unit.symbol, factor / category.siValue, category.dimension, offset / category.siValue);
+		});
+	});
+};
+
 Converter.prototype.addMoneyCategory = function(resolve, reject) {
 	// Demander l'URL pour les taux puis enregistrer l'URL ou le refus dans localStorage
 	// - Taux : http://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml
@@ -373,15 +501,27 @@ $(function() {
 		calculator = new api.Calculator(),
 		context = new api.CalculatorContext(calculator);
 
-	calculator.addDefaultTypes(lang, moment.utc);
+	calculator.addDefaultTypes(lang, moment.utc, moment.tz);
 	calculator.addDefaultLiterals(lang);
 	calculator.addDefaultFunctions(lang, moment.utc);
+	calculator.addStringFunctions(lang);
+	calculator.addFinancialFunctions(lang);
 	calculator.addDefaultOperators(lang);
+	calculator.addQuantityType(lang);
+	new Converter(api.CalculatorError).addUnitsTo(calculator);
+	// Ajoutées après les quantités, pour que "sum(1 km, 300 m)" conserve l'unité
+	calculator.addStatisticsFunctions(lang);
+	calculator.addMatrixFunctions(lang);
 
 	calculator.addFunction(lang('convert'), lang('1, "srcUnit", "dstUnit"'), undefined, function(context, resolve, reject, n, u1, u2) {
-		var converter = new Converter();
+		var converter = new Converter(api.CalculatorError), value;
 		converter.addMoneyCategory(function() {
-			var value = converter.convert(n.getValue(context), u1.getValue(context), u2.getValue(context));
+			try {
+				value = converter.convert(n.getValue(context), u1.getValue(context), u2.getValue(context));
+			} catch (e) {
+				reject(e);
+				return;
+			}
 			var floatType = calculator.types.filter(function(t) { return t.name === 'float'; })[0];
 			resolve(api.CalculatorTree.newConstant(floatType, value, undefined));
 		}, reject);
@@ -397,12 +537,19 @@ $(function() {
 	});
 
 	function calculate() {
-		var val, tree;
+		var val, tree, errors;
 		try {
 			val = input.value;
 			if (! val)
 				return;
-			tree = calculator.parse(val);
+			tree = calculator.parse(val, context);
+			// Signaler les paramètres invalides (nombre ou types) avant le calcul
+			errors = calculator.check(tree);
+			if (errors.length > 0) {
+				errors[0].select(input);
+				setMessage(errors[0].format(lang), true);
+				return;
+			}
 			//console.log(tree);
 			//console.log(calculator.format(tree));
 			context.reduce(tree, function(output) {
@@ -417,7 +564,10 @@ $(function() {
 				setMessage(val, false);
 			}, function(reason) {
 				console.log(reason);
-				setMessage(reason, true);
+				// Les erreurs de calcul sont positionnées sur la fonction ou l'opérateur concerné
+				if (reason.select && typeof reason.index === 'number')
+					reason.select(input);
+				setMessage(reason.format ? reason.format(lang) : reason, true);
 			});
 		} catch (e) {
 			if (e.console) {
@@ -523,7 +673,7 @@ $(function() {
 		// Pour savoir s'il faut ajouter  ou supprimer les "(" ")" en plus de "1/", on tente de parser
 		var val = input.value, tree;
 		try {
-			tree = calculator.parse(val);
+			tree = calculator.parse(val, context);
 			// Si la formule est 1 / xxx
 			if (tree.kind === 'binary' && tree.token === '/' && tree.left.kind === 'constant' && tree.left.value === 1) {
 				// On ne gardera que xxx, en retirant les éventuelles parenthèses